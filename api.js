@@ -0,0 +1,99 @@
+import http from 'http';
+import crypto from 'crypto';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Thrown by route handlers to answer with a status other than 200
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// JSON-over-HTTP server for the admin API. Routes look like
+// { method: 'GET', path: '/users/:id', handler({ params, query, body }) } and
+// return the response body. Every request needs "Authorization: Bearer <token>".
+export function createApiServer({ token, routes }) {
+  const compiled = routes.map(route => ({
+    ...route,
+    pattern: new RegExp('^' + route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)') + '/?$')
+  }));
+
+  return http.createServer(async (req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(data));
+    };
+
+    try {
+      if (!isAuthorized(req.headers.authorization, token)) {
+        throw new ApiError(401, 'Missing or invalid bearer token');
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const matching = compiled
+        .map(route => ({ route, match: route.pattern.exec(url.pathname) }))
+        .filter(({ match }) => match);
+      if (matching.length === 0) {
+        throw new ApiError(404, 'Not found');
+      }
+
+      const found = matching.find(({ route }) => route.method === req.method);
+      if (!found) {
+        throw new ApiError(405, 'Method not allowed');
+      }
+
+      const params = Object.fromEntries(
+        Object.entries(found.match.groups || {}).map(([key, value]) => [key, decodePathSegment(value)])
+      );
+      const body = req.method === 'GET' ? {} : await readJsonBody(req);
+      send(200, await found.route.handler({ params, query: Object.fromEntries(url.searchParams), body }));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return send(error.status, { error: error.message });
+      }
+      console.error('❌ Admin API error:', error);
+      send(500, { error: 'Internal error' });
+    }
+  });
+}
+
+function isAuthorized(header = '', token) {
+  const [scheme, value = ''] = header.split(' ');
+  if (scheme !== 'Bearer') return false;
+
+  // Compare digests so the check takes the same time whatever the input length
+  const digest = text => crypto.createHash('sha256').update(text).digest();
+  return crypto.timingSafeEqual(digest(value), digest(token));
+}
+
+function decodePathSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new ApiError(400, 'Malformed path');
+  }
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ApiError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString();
+  if (!text) return {};
+  try {
+    const body = JSON.parse(text);
+    if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+  } catch {
+    // Falls through to the error below
+  }
+  throw new ApiError(400, 'Body must be a JSON object');
+}
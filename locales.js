@@ -0,0 +1,426 @@
+// Message catalog for everything the bot sends to users. Admin commands and
+// admin notifications stay in English. Placeholders look like {name}; a key
+// missing from a language falls back to English.
+export const LANGUAGES = {
+  en: 'English',
+  am: 'አማርኛ'
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  en: {
+    'common.amount': '{amount} ETB',
+    'common.note': '\nNote: {note}',
+    'common.reason': '\nReason: {reason}',
+    'register.first': '❌ Please /start first to register.',
+    'error.generic': '❌ An error occurred. Please try again later.',
+    'conversation.back': '\n↩️ Type "back" to return to the previous step.',
+
+    'start.welcome': '👋 Welcome, {name}!\n\nYour referral link:\n{link}\n\nUse /packages to see available website packages.',
+    'help.user':
+      '🤖 Popposite Referral Bot Help\n\n' +
+      'User Commands:\n' +
+      '/start - Register and get started\n' +
+      '/help - Show this help message\n' +
+      '/packages - View available packages\n' +
+      '/order - Order a package\n' +
+      '/renew - Renew your package\n' +
+      '/referral - Get your referral link\n' +
+      '/myrefs - View your referrals\n' +
+      '/balance - Check your balance\n' +
+      '/withdraw - Request withdrawal\n' +
+      '/statement - View your recent transactions\n' +
+      '/digest - Turn the weekly earnings digest on or off\n' +
+      '/campaigns - See running commission campaigns and milestones\n' +
+      '/top - See the top referrers\n' +
+      '/payout - Manage saved payout details\n' +
+      '/language - Change language\n' +
+      '/myid - Show your Telegram ID',
+    'myid': 'Your ID: {id}',
+    'language.prompt': '🌐 Choose your language:',
+    'language.changed': '✅ Language set to English.',
+
+    'packages.title': '🧾 Packages',
+    'packages.item': '🔸 {name} — {price} ETB — Commission: {commission} ETB',
+    'packages.inactive': ' (inactive)',
+    'packages.duration': ' — {days} days',
+    'packages.note': 'Note: Pre-payment required. Contact admin to pay and confirm.',
+
+    'order.howto':
+      '📦 How to Order:\n\n' +
+      '1. Choose a package below\n' +
+      '2. Send payment using the instructions you receive\n' +
+      '3. Upload a receipt photo or send the transaction reference\n' +
+      '4. Admin will confirm your purchase and you start earning from referrals!',
+    'order.button': '{name} — {price} ETB',
+    'order.upgradeHowto': '⬆️ You have the {current} package. Choose a package to upgrade to — you only pay the difference:',
+    'order.upgradeButton': '{name} — +{price} ETB',
+    'order.noUpgrade': 'ℹ️ You already have {current}, the highest available package.',
+    'order.notUpgrade': '❌ You have the {current} package. You can only upgrade to a higher-priced package.',
+    'order.renewFirst': '⌛ Your {package} package has expired. Use /renew to renew it first.',
+    'order.unavailable': '❌ This package is no longer available. Use /order to choose another.',
+    'order.alreadyPending': '⚠️ You already have an order waiting for admin confirmation.',
+    'order.proofPrompt': '💳 {name} — {price} ETB\n\n{instructions}\n\nAfter paying, upload a photo of your receipt or send the transaction reference. Type "cancel" to abort.',
+    'order.invalidProof': '⚠️ Send a receipt photo or a valid transaction reference, or type "cancel".',
+    'order.submitted': '📩 Your {package} order has been submitted. You\'ll be notified once an admin confirms your payment.',
+    'order.canceled': '❌ Order canceled.',
+    'order.expired': '⌛ Your order timed out. Use /order to start again.',
+
+    'purchase.pending': '📦 Your {package} package purchase is pending admin confirmation.',
+    'purchase.confirmed': '✅ Your {package} package has been confirmed! You can now start earning from referrals.',
+    'purchase.upgraded': '✅ Your package has been upgraded from {from} to {package}!',
+    'purchase.renewed': '✅ Your {package} package has been renewed until {date}.',
+    'purchase.rejected': '❌ Your {package} package order was rejected.',
+    'purchase.setByAdmin': '✅ Admin has set your package to {package}.',
+    'purchase.refunded': '↩️ Your {package} purchase was refunded and the package has been removed.',
+    'purchase.upgradeRefunded': '↩️ Your upgrade to {package} was refunded. Your package is {current} again.',
+    'purchase.renewalRefunded': '↩️ Your {package} renewal was refunded. The package now expires on {date}.',
+
+    'referral.link': '🔗 Your referral link:\n{link}',
+    'referral.joined': '👋 Someone joined using your referral link!',
+    'myrefs.none': '👥 You have no referrals yet.',
+    'myrefs.title': '👥 Your referrals:',
+    'myrefs.item': '- {name} (ID: {id}) — {package}',
+    'myrefs.pending': 'Pending',
+    'myrefs.expired': '{package} (expired)',
+    'myrefs.earnings': '💰 Earnings by level:',
+    'earnings.level': 'Level {level}: {amount} ETB',
+
+    'commission.earned': '💰 You earned {amount} ETB level {level} commission from {name}\'s {package} package purchase!',
+    'commission.campaign': '\n🎉 Boosted by the {names} campaign.',
+    'commission.upgrade': '\n⬆️ Upgrade from {from}: you earn the commission difference.',
+    'commission.renewal': '💰 You earned {amount} ETB renewal commission because {name} renewed their {package} package!',
+    'commission.debtPaid': '\n{amount} ETB went toward your negative balance.',
+    'commission.reversed': '↩️ The {amount} ETB level {level} commission from {name}\'s {package} purchase was reversed because the purchase was refunded.',
+    'commission.balanceNow': '\nYour balance is now {balance} ETB.',
+    'commission.debtNote': '\nYour balance is now {balance} ETB. Future commissions will pay this off first.',
+
+    'balance.summary': '💰 Your balance: {balance} ETB\n\n👥 Referrals: {referrals}\n🔗 Referral link:\n{link}',
+    'statement.none': '📄 You have no transactions yet.',
+    'statement.title': '📄 Your recent transactions:',
+    'statement.balance': '💰 Current balance: {balance} ETB',
+    'ledger.opening_balance': 'Opening balance',
+    'ledger.commission': 'Commission',
+    'ledger.withdraw': 'Withdrawal',
+    'ledger.withdraw_refund': 'Withdrawal refund',
+    'ledger.commission_clawback': 'Commission clawback',
+    'ledger.milestone_bonus': 'Milestone bonus',
+    'ledger.renewal_commission': 'Renewal commission',
+    'ledger.withdrawRef': ' (withdraw {id})',
+    'ledger.purchaseRef': ' (purchase {id})',
+    'ledger.balance': 'Balance: {amount} ETB',
+
+    'withdraw.minimum': '⚠️ Minimum withdraw is {min} ETB. Your balance: {balance} ETB',
+    'withdraw.amountPrompt': '💰 Enter the amount you want to withdraw (must end with 00), or type \'cancel\' to abort.',
+    'withdraw.invalidAmount': '⚠️ Invalid amount. Must be a number ending with 00. Try again or type "cancel".',
+    'withdraw.insufficient': '⚠️ Insufficient balance. Withdraw canceled.',
+    'withdraw.belowMinimum': '⚠️ Minimum withdraw is {min} ETB. Withdraw canceled.',
+    'withdraw.methodPrompt': '💳 Choose payment method:\n{methods}\nOr type "cancel" to abort.',
+    'withdraw.invalidMethod': '⚠️ Invalid method. Choose 1, 2, or 3, or type "cancel".',
+    'withdraw.profileTitle': '📋 Send payout to:',
+    'withdraw.newDetails': '0) Enter new details',
+    'withdraw.invalidProfile': '⚠️ Invalid choice. Send the number of a saved profile or 0 for new details.',
+    'withdraw.savePrompt': '📋 Payout details:\n{details}\n\n💾 Save these details for future withdrawals? Reply "yes" or "no".',
+    'withdraw.yesNo': '⚠️ Please reply "yes" or "no".',
+    'withdraw.submitted': '📩 Withdraw request submitted: {amount} ETB via {method}.\n{details}\nAdmin will process it soon.',
+    'withdraw.failed': '❌ Failed to create withdraw request. Please try again.',
+    'withdraw.canceled': '❌ Withdraw canceled.',
+    'withdraw.expired': '⌛ Your withdraw request timed out. Use /withdraw to start again.',
+    'withdraw.approved': '✅ Your withdrawal of {amount} ETB has been approved.',
+    'withdraw.rejected': '❌ Your withdrawal request of {amount} ETB was rejected.',
+    'withdraw.paid': '💸 {amount} ETB from your withdrawal has been sent to your {method} account.',
+    'withdraw.methodFee': ' (fee: {fee})',
+    'withdraw.feeNote': '\nFee: {fee} ETB. You will receive {net} ETB.',
+    'withdraw.feeTooHigh': '⚠️ The {method} fee of {fee} ETB would take the whole amount. Choose another method or type "cancel".',
+    'withdraw.alreadyPending': '⚠️ You already have a withdrawal request waiting for review. You can request another once it is handled.',
+    'withdraw.cooldown': '⏳ You can request your next withdrawal after {time}.',
+    'withdraw.dayCap': '⚠️ The daily withdrawal limit is {cap} ETB. You can withdraw up to {remaining} ETB more today. Withdraw canceled.',
+    'withdraw.monthCap': '⚠️ The monthly withdrawal limit is {cap} ETB. You can withdraw up to {remaining} ETB more this month. Withdraw canceled.',
+
+    'payout.methodPrompt': '💳 Which payout method are these details for?\n{methods}\nOr type "cancel" to abort.',
+    'payout.retry': '{error} Try again or type "cancel".',
+    'payout.saved': '✅ Payout profile saved:\n{details}',
+    'payout.canceled': '❌ Payout profile not saved.',
+    'payout.expired': '⌛ Payout setup timed out. Use /payout add to start again.',
+    'payout.title': '💳 Your payout profiles:',
+    'payout.none': 'No saved profiles yet.',
+    'payout.footer': '/payout add - Save new payout details\n/payout delete <number> - Remove a profile',
+    'payout.deleteUsage': 'Usage: /payout delete <number>',
+    'payout.deleted': '✅ Payout profile deleted.',
+    'payoutField.phone.label': 'Phone',
+    'payoutField.phone.prompt': '📱 Enter the Telebirr mobile number (e.g. 0912345678).',
+    'payoutField.phone.error': '⚠️ Invalid Ethiopian mobile number. Use the format 09XXXXXXXX or +2519XXXXXXXX.',
+    'payoutField.bankName.label': 'Bank',
+    'payoutField.bankName.prompt': '🏦 Enter the bank name.',
+    'payoutField.bankName.error': '⚠️ Invalid bank name.',
+    'payoutField.accountNumber.label': 'Account number',
+    'payoutField.accountNumber.prompt': '🔢 Enter the account number.',
+    'payoutField.accountNumber.error': '⚠️ Invalid account number. CBE accounts have 13 digits starting with 1000; other banks 8 to 16 digits.',
+    'payoutField.accountName.label': 'Account holder',
+    'payoutField.accountName.prompt': '👤 Enter the account holder\'s full name as registered with the bank.',
+    'payoutField.accountName.error': '⚠️ Enter at least a first and last name, using letters only.',
+
+    'reject.canceled': '❌ Rejection canceled.',
+    'reject.expired': '⌛ Rejection timed out. Nothing was changed.',
+
+    'broadcast.header': '📢 Broadcast from admin:',
+
+    'campaign.title': '🎉 Active campaigns',
+    'campaign.none': 'No campaigns are running right now.',
+    'campaign.item': '🔸 {name}: {effect} on {packages}, {start} – {end}',
+    'campaign.multiplier': '×{value} commission',
+    'campaign.bonus': '+{amount} ETB commission',
+    'campaign.allPackages': 'all packages',
+    'campaign.announce': '🎉 A commission campaign has started!\n\n{campaign}\n\nShare your link from /referral to make the most of it.',
+    'milestone.title': '🏆 Referral milestones',
+    'milestone.item': '🔸 {count} referrals with a package: +{amount} ETB bonus',
+    'milestone.progress': 'Your referrals with a package: {count}',
+    'milestone.reached': '🏆 Milestone reached! {count} of your referrals have bought a package, so you earned a {amount} ETB bonus.',
+    'milestone.reversed': '↩️ Your {amount} ETB bonus for {count} referrals was reversed because {name}\'s {package} purchase was refunded.',
+
+    'renew.name': '{package} renewal',
+    'renew.noPackage': 'ℹ️ You don\'t have a package to renew. Use /order to buy one.',
+    'renew.notNeeded': 'ℹ️ Your {package} package never expires, so there is nothing to renew.',
+    'renew.reminder': '⏰ Your {package} package expires in {days} day(s), on {date}. Use /renew to keep it active.',
+    'renew.expired': '⌛ Your {package} package has expired. Use /renew to renew it.',
+
+    'top.title': '🏆 Top referrers {period} by {metric}',
+    'top.period.week': 'this week',
+    'top.period.month': 'this month',
+    'top.period.all': 'of all time',
+    'top.metric.conversions': 'conversions',
+    'top.metric.earnings': 'earnings',
+    'top.item': '{rank}. {name} — {score}',
+    'top.empty': 'No one is on the board yet.',
+    'top.yourRank': 'Your rank: #{rank} ({score})',
+    'top.unranked': 'You are not on the board yet. Share your link from /referral to climb it!',
+    'top.hiddenNote': 'You are hidden from the leaderboard. Send /top show to appear again.',
+    'top.footer': 'Try /top month earnings or /top all. Send /top hide to leave the board.',
+    'top.hidden': '✅ You no longer appear on the leaderboard.',
+    'top.shown': '✅ You appear on the leaderboard again.',
+    'top.winners': '🏆 This week\'s top referrers\n\n{list}\n\nInvite friends with /referral to make next week\'s list!',
+
+    'digest.statusOn': '📬 Your weekly earnings digest is on. Send /digest off to stop it.',
+    'digest.statusOff': '📭 Your weekly earnings digest is off. Send /digest on to get it every week.',
+    'digest.subscribed': '✅ You will get a weekly earnings digest.',
+    'digest.unsubscribed': '✅ Weekly earnings digest turned off.',
+    'digest.report':
+      '📬 Your week in review\n\n' +
+      '👥 New referrals: {referrals}\n' +
+      '✅ Conversions: {conversions}\n' +
+      '💰 Earned: {earned} ETB\n' +
+      '💼 Balance: {balance} ETB\n\n' +
+      'Send /digest off to stop these updates.'
+  },
+
+  am: {
+    'common.amount': '{amount} ብር',
+    'common.note': '\nማስታወሻ: {note}',
+    'common.reason': '\nምክንያት: {reason}',
+    'register.first': '❌ እባክዎ መጀመሪያ ለመመዝገብ /start ይጫኑ።',
+    'error.generic': '❌ ስህተት ተፈጥሯል። እባክዎ ቆይተው እንደገና ይሞክሩ።',
+    'conversation.back': '\n↩️ ወደ ቀደመው ደረጃ ለመመለስ "back" ይጻፉ።',
+
+    'start.welcome': '👋 እንኳን ደህና መጡ፣ {name}!\n\nየእርስዎ የሪፈራል ሊንክ:\n{link}\n\nያሉትን የድረ-ገጽ ፓኬጆች ለማየት /packages ይጠቀሙ።',
+    'help.user':
+      '🤖 የPopposite ሪፈራል ቦት እገዛ\n\n' +
+      'የተጠቃሚ ትዕዛዞች:\n' +
+      '/start - ይመዝገቡ እና ይጀምሩ\n' +
+      '/help - ይህን የእገዛ መልዕክት ያሳያል\n' +
+      '/packages - ያሉትን ፓኬጆች ይመልከቱ\n' +
+      '/order - ፓኬጅ ይዘዙ\n' +
+      '/renew - ፓኬጅዎን ያድሱ\n' +
+      '/referral - የሪፈራል ሊንክዎን ያግኙ\n' +
+      '/myrefs - ሪፈራሎችዎን ይመልከቱ\n' +
+      '/balance - ቀሪ ሂሳብዎን ይመልከቱ\n' +
+      '/withdraw - ገንዘብ ለማውጣት ይጠይቁ\n' +
+      '/statement - የቅርብ ጊዜ ግብይቶችዎን ይመልከቱ\n' +
+      '/digest - ሳምንታዊ የገቢ ማጠቃለያ ያብሩ ወይም ያጥፉ\n' +
+      '/campaigns - በሂደት ላይ ያሉ የኮሚሽን ዘመቻዎችን እና ሽልማቶችን ይመልከቱ\n' +
+      '/top - ምርጥ አጣቃሾችን ይመልከቱ\n' +
+      '/payout - የተቀመጡ የክፍያ መረጃዎችን ያስተዳድሩ\n' +
+      '/language - ቋንቋ ይቀይሩ\n' +
+      '/myid - የቴሌግራም መለያ ቁጥርዎን ያሳያል',
+    'myid': 'የእርስዎ መለያ ቁጥር: {id}',
+    'language.prompt': '🌐 ቋንቋ ይምረጡ:',
+    'language.changed': '✅ ቋንቋ ወደ አማርኛ ተቀይሯል።',
+
+    'packages.title': '🧾 ፓኬጆች',
+    'packages.item': '🔸 {name} — {price} ብር — ኮሚሽን: {commission} ብር',
+    'packages.inactive': ' (የቆመ)',
+    'packages.duration': ' — {days} ቀናት',
+    'packages.note': 'ማሳሰቢያ: ቅድመ ክፍያ ያስፈልጋል። ለመክፈል እና ለማረጋገጥ አስተዳዳሪውን ያነጋግሩ።',
+
+    'order.howto':
+      '📦 እንዴት ማዘዝ እንደሚቻል:\n\n' +
+      '1. ከታች ፓኬጅ ይምረጡ\n' +
+      '2. በሚደርስዎ መመሪያ መሰረት ክፍያ ይፈጽሙ\n' +
+      '3. የደረሰኝ ፎቶ ወይም የግብይት ቁጥሩን ይላኩ\n' +
+      '4. አስተዳዳሪው ግዢዎን ካረጋገጠ በኋላ ከሪፈራሎች ገቢ ማግኘት ይጀምራሉ!',
+    'order.button': '{name} — {price} ብር',
+    'order.upgradeHowto': '⬆️ የ{current} ፓኬጅ አለዎት። ለማሳደግ ፓኬጅ ይምረጡ — የዋጋ ልዩነቱን ብቻ ይከፍላሉ:',
+    'order.upgradeButton': '{name} — +{price} ብር',
+    'order.noUpgrade': 'ℹ️ ከሚገኙት ፓኬጆች ከፍተኛው የሆነው {current} አለዎት።',
+    'order.notUpgrade': '❌ የ{current} ፓኬጅ አለዎት። ማሳደግ የሚቻለው ወደ ከፍተኛ ዋጋ ፓኬጅ ብቻ ነው።',
+    'order.renewFirst': '⌛ የ{package} ፓኬጅዎ ጊዜው አልፏል። መጀመሪያ በ/renew ያድሱት።',
+    'order.unavailable': '❌ ይህ ፓኬጅ ከአሁን በኋላ አይገኝም። ሌላ ለመምረጥ /order ይጠቀሙ።',
+    'order.alreadyPending': '⚠️ የአስተዳዳሪ ማረጋገጫ እየጠበቀ ያለ ትዕዛዝ አለዎት።',
+    'order.proofPrompt': '💳 {name} — {price} ብር\n\n{instructions}\n\nከከፈሉ በኋላ የደረሰኝዎን ፎቶ ወይም የግብይት ቁጥሩን ይላኩ። ለመሰረዝ "cancel" ይጻፉ።',
+    'order.invalidProof': '⚠️ የደረሰኝ ፎቶ ወይም ትክክለኛ የግብይት ቁጥር ይላኩ፣ ወይም "cancel" ይጻፉ።',
+    'order.submitted': '📩 የ{package} ትዕዛዝዎ ተልኳል። አስተዳዳሪው ክፍያዎን ሲያረጋግጥ ይነገርዎታል።',
+    'order.canceled': '❌ ትዕዛዙ ተሰርዟል።',
+    'order.expired': '⌛ የትዕዛዝዎ ጊዜ አልፏል። እንደገና ለመጀመር /order ይጠቀሙ።',
+
+    'purchase.pending': '📦 የ{package} ፓኬጅ ግዢዎ የአስተዳዳሪ ማረጋገጫ እየጠበቀ ነው።',
+    'purchase.confirmed': '✅ የ{package} ፓኬጅዎ ተረጋግጧል! አሁን ከሪፈራሎች ገቢ ማግኘት መጀመር ይችላሉ።',
+    'purchase.upgraded': '✅ ፓኬጅዎ ከ{from} ወደ {package} አድጓል!',
+    'purchase.renewed': '✅ የ{package} ፓኬጅዎ እስከ {date} ታድሷል።',
+    'purchase.rejected': '❌ የ{package} ፓኬጅ ትዕዛዝዎ ውድቅ ተደርጓል።',
+    'purchase.setByAdmin': '✅ አስተዳዳሪው ፓኬጅዎን ወደ {package} ቀይሯል።',
+    'purchase.refunded': '↩️ የ{package} ግዢዎ ተመላሽ ተደርጓል፤ ፓኬጁም ተነስቷል።',
+    'purchase.upgradeRefunded': '↩️ ወደ {package} ያደረጉት ማሳደግ ተመላሽ ተደርጓል። ፓኬጅዎ እንደገና {current} ነው።',
+    'purchase.renewalRefunded': '↩️ የ{package} እድሳትዎ ተመላሽ ተደርጓል። ፓኬጁ የሚያበቃው {date} ላይ ነው።',
+
+    'referral.link': '🔗 የእርስዎ የሪፈራል ሊንክ:\n{link}',
+    'referral.joined': '👋 አንድ ሰው በእርስዎ የሪፈራል ሊንክ ተቀላቅሏል!',
+    'myrefs.none': '👥 እስካሁን ምንም ሪፈራል የለዎትም።',
+    'myrefs.title': '👥 የእርስዎ ሪፈራሎች:',
+    'myrefs.item': '- {name} (ID: {id}) — {package}',
+    'myrefs.pending': 'በመጠባበቅ ላይ',
+    'myrefs.expired': '{package} (ጊዜው ያለፈ)',
+    'myrefs.earnings': '💰 ገቢ በደረጃ:',
+    'earnings.level': 'ደረጃ {level}: {amount} ብር',
+
+    'commission.earned': '💰 ከ{name} የ{package} ፓኬጅ ግዢ የደረጃ {level} ኮሚሽን {amount} ብር አግኝተዋል!',
+    'commission.campaign': '\n🎉 በ{names} ዘመቻ ተጨምሯል።',
+    'commission.upgrade': '\n⬆️ ከ{from} የተደረገ ማሳደግ፤ የኮሚሽን ልዩነቱን ያገኛሉ።',
+    'commission.renewal': '💰 {name} የ{package} ፓኬጃቸውን ስላደሱ የ{amount} ብር የእድሳት ኮሚሽን አግኝተዋል!',
+    'commission.debtPaid': '\n{amount} ብር አሉታዊ ቀሪ ሂሳብዎን ለመክፈል ውሏል።',
+    'commission.reversed': '↩️ ከ{name} የ{package} ግዢ የተገኘው የደረጃ {level} ኮሚሽን {amount} ብር ግዢው ተመላሽ በመደረጉ ተቀንሷል።',
+    'commission.balanceNow': '\nቀሪ ሂሳብዎ አሁን {balance} ብር ነው።',
+    'commission.debtNote': '\nቀሪ ሂሳብዎ አሁን {balance} ብር ነው። የወደፊት ኮሚሽኖች መጀመሪያ ይህን ይከፍላሉ።',
+
+    'balance.summary': '💰 ቀሪ ሂሳብዎ: {balance} ብር\n\n👥 ሪፈራሎች: {referrals}\n🔗 የሪፈራል ሊንክ:\n{link}',
+    'statement.none': '📄 እስካሁን ምንም ግብይት የለዎትም።',
+    'statement.title': '📄 የቅርብ ጊዜ ግብይቶችዎ:',
+    'statement.balance': '💰 አሁን ያለው ቀሪ ሂሳብ: {balance} ብር',
+    'ledger.opening_balance': 'የመክፈቻ ቀሪ ሂሳብ',
+    'ledger.commission': 'ኮሚሽን',
+    'ledger.withdraw': 'ገንዘብ ማውጣት',
+    'ledger.withdraw_refund': 'የወጪ ተመላሽ',
+    'ledger.commission_clawback': 'የኮሚሽን ቅነሳ',
+    'ledger.milestone_bonus': 'የደረጃ ሽልማት',
+    'ledger.renewal_commission': 'የእድሳት ኮሚሽን',
+    'ledger.withdrawRef': ' (ወጪ {id})',
+    'ledger.purchaseRef': ' (ግዢ {id})',
+    'ledger.balance': 'ቀሪ: {amount} ብር',
+
+    'withdraw.minimum': '⚠️ ዝቅተኛው የማውጫ መጠን {min} ብር ነው። ቀሪ ሂሳብዎ: {balance} ብር',
+    'withdraw.amountPrompt': '💰 ማውጣት የሚፈልጉትን መጠን ያስገቡ (በ00 መጨረስ አለበት)፣ ወይም ለመሰረዝ "cancel" ይጻፉ።',
+    'withdraw.invalidAmount': '⚠️ የተሳሳተ መጠን። በ00 የሚያልቅ ቁጥር መሆን አለበት። እንደገና ይሞክሩ ወይም "cancel" ይጻፉ።',
+    'withdraw.insufficient': '⚠️ በቂ ቀሪ ሂሳብ የለም። ማውጣቱ ተሰርዟል።',
+    'withdraw.belowMinimum': '⚠️ ዝቅተኛው የማውጫ መጠን {min} ብር ነው። ማውጣቱ ተሰርዟል።',
+    'withdraw.methodPrompt': '💳 የክፍያ ዘዴ ይምረጡ:\n{methods}\nወይም ለመሰረዝ "cancel" ይጻፉ።',
+    'withdraw.invalidMethod': '⚠️ የተሳሳተ ዘዴ። 1፣ 2 ወይም 3 ይምረጡ፣ ወይም "cancel" ይጻፉ።',
+    'withdraw.profileTitle': '📋 ክፍያውን ወደዚህ ይላኩ:',
+    'withdraw.newDetails': '0) አዲስ መረጃ ያስገቡ',
+    'withdraw.invalidProfile': '⚠️ የተሳሳተ ምርጫ። የተቀመጠ መረጃ ቁጥር ወይም ለአዲስ መረጃ 0 ይላኩ።',
+    'withdraw.savePrompt': '📋 የክፍያ መረጃ:\n{details}\n\n💾 ይህ መረጃ ለወደፊት ማውጣት ይቀመጥ? "yes" ወይም "no" ብለው ይመልሱ።',
+    'withdraw.yesNo': '⚠️ እባክዎ "yes" ወይም "no" ብለው ይመልሱ።',
+    'withdraw.submitted': '📩 የማውጣት ጥያቄ ተልኳል: {amount} ብር በ{method}።\n{details}\nአስተዳዳሪው በቅርቡ ያስተናግደዋል።',
+    'withdraw.failed': '❌ የማውጣት ጥያቄ መፍጠር አልተቻለም። እባክዎ እንደገና ይሞክሩ።',
+    'withdraw.canceled': '❌ ማውጣቱ ተሰርዟል።',
+    'withdraw.expired': '⌛ የማውጣት ጥያቄዎ ጊዜ አልፏል። እንደገና ለመጀመር /withdraw ይጠቀሙ።',
+    'withdraw.approved': '✅ የ{amount} ብር የማውጣት ጥያቄዎ ጸድቋል።',
+    'withdraw.rejected': '❌ የ{amount} ብር የማውጣት ጥያቄዎ ውድቅ ተደርጓል።',
+    'withdraw.paid': '💸 ከማውጣት ጥያቄዎ {amount} ብር ወደ {method} ሂሳብዎ ተልኳል።',
+    'withdraw.methodFee': ' (ክፍያ: {fee})',
+    'withdraw.feeNote': '\nየአገልግሎት ክፍያ: {fee} ብር። የሚደርስዎ {net} ብር ነው።',
+    'withdraw.feeTooHigh': '⚠️ የ{method} ክፍያ {fee} ብር ሙሉውን መጠን ይወስዳል። ሌላ ዘዴ ይምረጡ ወይም "cancel" ይጻፉ።',
+    'withdraw.alreadyPending': '⚠️ በግምገማ ላይ ያለ የማውጣት ጥያቄ አለዎት። እሱ ከተስተናገደ በኋላ ሌላ መጠየቅ ይችላሉ።',
+    'withdraw.cooldown': '⏳ ቀጣዩን የማውጣት ጥያቄ ከ{time} በኋላ ማቅረብ ይችላሉ።',
+    'withdraw.dayCap': '⚠️ የቀን የማውጫ ገደብ {cap} ብር ነው። ዛሬ እስከ {remaining} ብር ተጨማሪ ማውጣት ይችላሉ። ማውጣቱ ተሰርዟል።',
+    'withdraw.monthCap': '⚠️ የወር የማውጫ ገደብ {cap} ብር ነው። በዚህ ወር እስከ {remaining} ብር ተጨማሪ ማውጣት ይችላሉ። ማውጣቱ ተሰርዟል።',
+
+    'payout.methodPrompt': '💳 ይህ መረጃ ለየትኛው የክፍያ ዘዴ ነው?\n{methods}\nወይም ለመሰረዝ "cancel" ይጻፉ።',
+    'payout.retry': '{error} እንደገና ይሞክሩ ወይም "cancel" ይጻፉ።',
+    'payout.saved': '✅ የክፍያ መረጃ ተቀምጧል:\n{details}',
+    'payout.canceled': '❌ የክፍያ መረጃው አልተቀመጠም።',
+    'payout.expired': '⌛ የክፍያ መረጃ ማስገቢያ ጊዜ አልፏል። እንደገና ለመጀመር /payout add ይጠቀሙ።',
+    'payout.title': '💳 የተቀመጡ የክፍያ መረጃዎችዎ:',
+    'payout.none': 'እስካሁን የተቀመጠ መረጃ የለም።',
+    'payout.footer': '/payout add - አዲስ የክፍያ መረጃ ያስቀምጡ\n/payout delete <ቁጥር> - መረጃ ይሰርዙ',
+    'payout.deleteUsage': 'አጠቃቀም: /payout delete <ቁጥር>',
+    'payout.deleted': '✅ የክፍያ መረጃው ተሰርዟል።',
+    'payoutField.phone.label': 'ስልክ',
+    'payoutField.phone.prompt': '📱 የቴሌብር ስልክ ቁጥር ያስገቡ (ለምሳሌ 0912345678)።',
+    'payoutField.phone.error': '⚠️ የተሳሳተ የኢትዮጵያ ስልክ ቁጥር። 09XXXXXXXX ወይም +2519XXXXXXXX ቅርጸት ይጠቀሙ።',
+    'payoutField.bankName.label': 'ባንክ',
+    'payoutField.bankName.prompt': '🏦 የባንኩን ስም ያስገቡ።',
+    'payoutField.bankName.error': '⚠️ የተሳሳተ የባንክ ስም።',
+    'payoutField.accountNumber.label': 'የሂሳብ ቁጥር',
+    'payoutField.accountNumber.prompt': '🔢 የሂሳብ ቁጥሩን ያስገቡ።',
+    'payoutField.accountNumber.error': '⚠️ የተሳሳተ የሂሳብ ቁጥር። የንግድ ባንክ (CBE) ሂሳቦች በ1000 የሚጀምሩ 13 አሃዞች ናቸው፤ የሌሎች ባንኮች ከ8 እስከ 16 አሃዞች።',
+    'payoutField.accountName.label': 'የሂሳብ ባለቤት',
+    'payoutField.accountName.prompt': '👤 በባንኩ የተመዘገበውን የሂሳብ ባለቤት ሙሉ ስም ያስገቡ።',
+    'payoutField.accountName.error': '⚠️ ቢያንስ ስም እና የአባት ስም በፊደላት ብቻ ያስገቡ።',
+
+    'reject.canceled': '❌ ውድቅ ማድረጉ ተሰርዟል።',
+    'reject.expired': '⌛ ጊዜው አልፏል። ምንም አልተቀየረም።',
+
+    'broadcast.header': '📢 ከአስተዳዳሪ የተላከ መልዕክት:',
+
+    'campaign.title': '🎉 በሂደት ላይ ያሉ ዘመቻዎች',
+    'campaign.none': 'አሁን በሂደት ላይ ያለ ዘመቻ የለም።',
+    'campaign.item': '🔸 {name}: {effect} በ{packages} ላይ፣ {start} – {end}',
+    'campaign.multiplier': '×{value} ኮሚሽን',
+    'campaign.bonus': '+{amount} ብር ኮሚሽን',
+    'campaign.allPackages': 'ሁሉም ፓኬጆች',
+    'campaign.announce': '🎉 የኮሚሽን ዘመቻ ተጀምሯል!\n\n{campaign}\n\nበተሻለ ለመጠቀም ሊንክዎን ከ/referral ያጋሩ።',
+    'milestone.title': '🏆 የሪፈራል ደረጃ ሽልማቶች',
+    'milestone.item': '🔸 ፓኬጅ የገዙ {count} ሪፈራሎች: +{amount} ብር ሽልማት',
+    'milestone.progress': 'ፓኬጅ የገዙ ሪፈራሎችዎ: {count}',
+    'milestone.reached': '🏆 ደረጃ ደርሰዋል! {count} ሪፈራሎችዎ ፓኬጅ ገዝተዋል፤ የ{amount} ብር ሽልማት አግኝተዋል።',
+    'milestone.reversed': '↩️ የ{name} የ{package} ግዢ ተመላሽ በመደረጉ ለ{count} ሪፈራሎች ያገኙት የ{amount} ብር ሽልማት ተቀንሷል።',
+
+    'renew.name': 'የ{package} እድሳት',
+    'renew.noPackage': 'ℹ️ የሚታደስ ፓኬጅ የለዎትም። ለመግዛት /order ይጠቀሙ።',
+    'renew.notNeeded': 'ℹ️ የ{package} ፓኬጅዎ ጊዜው አያልፍም፤ ማደስ አያስፈልግም።',
+    'renew.reminder': '⏰ የ{package} ፓኬጅዎ በ{days} ቀን(ቶች) ውስጥ፣ {date} ላይ ያበቃል። ንቁ ሆኖ እንዲቀጥል /renew ይጠቀሙ።',
+    'renew.expired': '⌛ የ{package} ፓኬጅዎ ጊዜው አልፏል። ለማደስ /renew ይጠቀሙ።',
+
+    'top.title': '🏆 {period} ምርጥ አጣቃሾች በ{metric}',
+    'top.period.week': 'የዚህ ሳምንት',
+    'top.period.month': 'የዚህ ወር',
+    'top.period.all': 'የሁሉም ጊዜ',
+    'top.metric.conversions': 'ፓኬጅ የገዙ ሪፈራሎች',
+    'top.metric.earnings': 'ገቢ',
+    'top.item': '{rank}. {name} — {score}',
+    'top.empty': 'እስካሁን በሰንጠረዡ ላይ ማንም የለም።',
+    'top.yourRank': 'የእርስዎ ደረጃ: #{rank} ({score})',
+    'top.unranked': 'እስካሁን በሰንጠረዡ ላይ የሉም። ለመውጣት ሊንክዎን ከ/referral ያጋሩ!',
+    'top.hiddenNote': 'ከሰንጠረዡ ተደብቀዋል። እንደገና ለመታየት /top show ይላኩ።',
+    'top.footer': '/top month earnings ወይም /top all ይሞክሩ። ከሰንጠረዡ ለመውጣት /top hide ይላኩ።',
+    'top.hidden': '✅ ከእንግዲህ በሰንጠረዡ ላይ አይታዩም።',
+    'top.shown': '✅ እንደገና በሰንጠረዡ ላይ ይታያሉ።',
+    'top.winners': '🏆 የዚህ ሳምንት ምርጥ አጣቃሾች\n\n{list}\n\nበሚቀጥለው ሳምንት ዝርዝር ውስጥ ለመግባት ጓደኞችዎን በ/referral ይጋብዙ!',
+
+    'digest.statusOn': '📬 ሳምንታዊ የገቢ ማጠቃለያ በርቷል። ለማቆም /digest off ይላኩ።',
+    'digest.statusOff': '📭 ሳምንታዊ የገቢ ማጠቃለያ ጠፍቷል። በየሳምንቱ ለማግኘት /digest on ይላኩ።',
+    'digest.subscribed': '✅ በየሳምንቱ የገቢ ማጠቃለያ ይደርስዎታል።',
+    'digest.unsubscribed': '✅ ሳምንታዊ የገቢ ማጠቃለያ ጠፍቷል።',
+    'digest.report':
+      '📬 የሳምንቱ ማጠቃለያ\n\n' +
+      '👥 አዲስ ሪፈራሎች: {referrals}\n' +
+      '✅ ፓኬጅ የገዙ: {conversions}\n' +
+      '💰 ገቢ: {earned} ብር\n' +
+      '💼 ቀሪ ሂሳብ: {balance} ብር\n\n' +
+      'እነዚህን መልዕክቶች ለማቆም /digest off ይላኩ።'
+  }
+};
+
+export function t(language, key, params = {}) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+}
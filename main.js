@@ -1,14 +1,173 @@
-import { Telegraf, session } from 'telegraf';
+import { Telegraf, Markup, session } from 'telegraf';
 import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
 import { nanoid } from 'nanoid';
 import cron from 'node-cron';
 import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
 import 'dotenv/config';
+import { openStore, checkAdapter } from './storage.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, t } from './locales.js';
+import { createApiServer, ApiError } from './api.js';
+import { Counter, Gauge, Histogram, renderMetrics } from './metrics.js';
+
+// Constants
+const ADMIN_ROLES = ['owner', 'finance', 'sales'];
+const MIN_WITHDRAW = 100;
+const PAYMENT_INSTRUCTIONS = process.env.PAYMENT_INSTRUCTIONS || 'Contact admin for payment details.';
+const DEFAULT_STEP_TIMEOUT = 15; // minutes
+const BROADCAST_RATE = parseInt(process.env.BROADCAST_RATE) || 20; // messages per second
+const BROADCAST_SAVE_EVERY = 20; // recipients between progress writes
+const LIST_PAGE_SIZE = 10;
+const LISTINGS_KEPT = 200; // paginated messages whose filters are remembered
+const WITHDRAW_STATUSES = ['pending', 'held', 'approved', 'paid', 'rejected'];
+
+// Backup retention: everything from the last 24 hours, then the newest backup
+// per day for BACKUP_KEEP_DAILY days and per week for BACKUP_KEEP_WEEKLY weeks
+const BACKUPS_DIR = 'backups';
+const BACKUP_NAME_PATTERN = /^db_[\w-]+\.json(\.gz)?$/;
+const BACKUP_COMPRESS = process.env.BACKUP_COMPRESS === 'true';
+const BACKUP_KEEP_DAILY = parseInt(process.env.BACKUP_KEEP_DAILY) || 7;
+const BACKUP_KEEP_WEEKLY = parseInt(process.env.BACKUP_KEEP_WEEKLY) || 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled reports and their settings on a fresh database. Schedules are cron
+// expressions, evaluated in REPORT_TIMEZONE (server time when unset).
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || undefined;
+const DEFAULT_REPORTS = {
+  daily: { enabled: true, schedule: '0 8 * * *' },
+  digest: { enabled: true, schedule: '0 9 * * 1' },
+  winners: { enabled: true, schedule: '0 10 * * 1' },
+  renewals: { enabled: true, schedule: '0 9 * * *' }
+};
+
+// Updates arrive by long polling unless BOT_MODE=webhook. Webhook mode serves
+// WEBHOOK_PATH on HTTP_PORT next to /healthz and /metrics, checking Telegram's
+// secret token header, and registers the webhook when WEBHOOK_DOMAIN is set.
+// In polling mode the health server only runs when HTTP_PORT is set.
+const BOT_MODE = process.env.BOT_MODE === 'webhook' ? 'webhook' : 'polling';
+const HTTP_PORT = parseInt(process.env.HTTP_PORT) || (BOT_MODE === 'webhook' ? 3000 : null);
+const HTTP_HOST = process.env.HTTP_HOST || '0.0.0.0';
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/webhook';
+const WEBHOOK_DOMAIN = process.env.WEBHOOK_DOMAIN;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+// Points the bot at a local Bot API server or a test double
+const TELEGRAM_API_ROOT = process.env.TELEGRAM_API_ROOT;
+
+// Admin HTTP API, off unless API_PORT is set. Listens on localhost by default.
+const API_PORT = parseInt(process.env.API_PORT) || null;
+const API_HOST = process.env.API_HOST || '127.0.0.1';
+const API_TOKEN = process.env.API_TOKEN;
+const API_PAGE_SIZE = 50;
+const API_MAX_PAGE_SIZE = 500;
+const API_ACTOR_NAME = 'Admin API';
+
+const AUDIT_DEFAULT_DAYS = 30;
+
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+const LEADERBOARD_METRICS = ['conversions', 'earnings'];
+
+// Payout details collected for each withdrawal method, in the order they are asked
+const PAYOUT_METHODS = {
+  'Telebirr': { fields: ['phone'] },
+  'CBE': { fields: ['accountNumber', 'accountName'] },
+  'Transfer': { fields: ['bankName', 'accountNumber', 'accountName'] }
+};
+
+// Labels, prompts and errors are the payoutField.<field>.* messages in locales.js
+const PAYOUT_FIELDS = {
+  phone: {
+    parse: parseEthiopianPhone
+  },
+  bankName: {
+    parse: (text) => /^[\p{L} .&'-]{2,50}$/u.test(text) ? text : null
+  },
+  accountNumber: {
+    parse: parseAccountNumber
+  },
+  accountName: {
+    parse: (text) => /^[\p{L}.'-]+(\s+[\p{L}.'-]+)+$/u.test(text) ? text.replace(/\s+/g, ' ') : null
+  }
+};
+
+// Withdrawal rules live in db.data.admin.withdrawPolicy and are changed with
+// /withdraw_policy; these seed it. Fees are a percentage plus a flat amount
+// taken out of what is paid. Caps count the user's non-rejected requests since
+// the start of the day or month. A 0 turns a cap, the cooldown or the review
+// threshold off.
+const DEFAULT_WITHDRAW_POLICY = {
+  minAmount: MIN_WITHDRAW,
+  fees: Object.fromEntries(Object.keys(PAYOUT_METHODS).map(method => [method, { percent: 0, flat: 0 }])),
+  dailyCap: 0,
+  monthlyCap: 0,
+  cooldownHours: 0,
+  holdAbove: 0
+};
+
+// /withdraw_policy number settings and the policy properties they set
+const WITHDRAW_POLICY_SETTINGS = {
+  min: 'minAmount',
+  daily: 'dailyCap',
+  monthly: 'monthlyCap',
+  cooldown: 'cooldownHours',
+  hold: 'holdAbove'
+};
+
+// Packages live in db.data.packages; these only seed a fresh database
+const DEFAULT_PACKAGES = [
+  { name: 'Basic', price: 1500, commission: 200, renewalCommission: 100 },
+  { name: 'Premium', price: 3000, commission: 400, renewalCommission: 200 },
+  { name: 'VIP', price: 3500, commission: 500, renewalCommission: 250 }
+];
+
+// Packages are plans that run for durationDays from confirmation (0 never
+// expires). Users are reminded RENEWAL_REMINDER_DAYS before expiry, and a
+// renewal pays the package's renewalCommission to the direct referrer.
+const DEFAULT_PACKAGE_DAYS = parseInt(process.env.DEFAULT_PACKAGE_DAYS) || 365;
+const RENEWAL_REMINDER_DAYS = [30, 7, 1];
+
+// /editpackage number fields and the package properties they set
+const PACKAGE_NUMBER_FIELDS = {
+  price: 'price',
+  commission: 'commission',
+  duration: 'durationDays',
+  renewal: 'renewalCommission'
+};
+
+// Fraud checks. A referrer is flagged when FRAUD_BURST_SIGNUPS people join under
+// them within FRAUD_BURST_MINUTES, or when FRAUD_DOWNLINE_MIN referrals have
+// joined and none bought a package. Withdrawals within FRAUD_WITHDRAW_HOURS of a
+// commission, by a user with open flags or above the policy's review threshold are
+// held for review.
+const FRAUD_BURST_SIGNUPS = parseInt(process.env.FRAUD_BURST_SIGNUPS) || 5;
+const FRAUD_BURST_MINUTES = parseInt(process.env.FRAUD_BURST_MINUTES) || 60;
+const FRAUD_DOWNLINE_MIN = parseInt(process.env.FRAUD_DOWNLINE_MIN) || 10;
+const FRAUD_WITHDRAW_HOURS = parseInt(process.env.FRAUD_WITHDRAW_HOURS) || 24;
+const FRAUD_RECHECK_DAYS = 7; // a reviewed flag isn't raised again for this long
+
+const FLAG_TYPES = {
+  signup_burst: 'Signup burst',
+  dead_downline: 'Downline never converts',
+  repeat_confirmation: 'Repeat confirmation',
+  quick_withdrawal: 'Withdrawal right after commission',
+  flagged_user_withdrawal: 'Withdrawal by flagged user',
+  large_withdrawal: 'Withdrawal above review threshold'
+};
+const FLAG_STATUSES = ['open', 'dismissed', 'confirmed'];
+
+// Share of the package commission paid to each level of the referral chain,
+// starting with the direct referrer. Entries ending in % are a percentage of
+// the package commission, plain numbers are fixed ETB amounts.
+const REFERRAL_TIERS = parseReferralTiers(process.env.REFERRAL_TIERS || '100%,25%,10%');
 
 // Database setup
-const adapter = new JSONFile('db.json');
-const db = new Low(adapter, {});
+// DB_DRIVER picks the store: json (db.json, the default) or sqlite (db.sqlite)
+// Users are read and written through the users repository, not db.data
+const { adapter, users } = await openStore(process.env.DB_DRIVER, process.env.DB_FILE);
+const db = new Low(adapter, null);
 
 // Initialize database
 await db.read();
@@ -16,40 +175,475 @@ db.data ||= {
   users: [], 
   pendingPurchases: [], 
   withdraws: [], 
-  admin: { id: parseInt(process.env.ADMIN_ID), broadcasts: [] } 
+  commissions: [],
+  ledger: [],
+  packages: [],
+  purchases: [],
+  conversations: [],
+  payoutProfiles: [],
+  admin: { id: parseInt(process.env.ADMIN_ID), broadcasts: [], admins: [] } 
 };
+users.load(db.data);
+initializeData(db.data);
+await users.save();
 await db.write();
 
-// Constants
-const MIN_WITHDRAW = 100;
-const PACKAGES = {
-  'Basic': { price: 1500, commission: 200 },
-  'Premium': { price: 3000, commission: 400 },
-  'VIP': { price: 3500, commission: 500 }
+// Fills in collections added since the data was written and backfills derived
+// records. Runs on startup and on restored backups, once their users are loaded.
+function initializeData(data) {
+  data.commissions ||= [];
+  data.conversations ||= [];
+  data.payoutProfiles ||= [];
+  data.flags ||= [];
+  data.campaigns ||= [];
+  data.milestones ||= [];
+  data.audit ||= [];
+  
+  if (!data.packages?.length) {
+    data.packages = DEFAULT_PACKAGES.map((pkg, index) => ({
+      ...pkg,
+      durationDays: DEFAULT_PACKAGE_DAYS,
+      description: '',
+      active: true,
+      order: index,
+      createdAt: new Date().toISOString()
+    }));
+  }
+  
+  // Packages from before expiry existed get the default duration, counted from
+  // each user's confirmation; their renewal commission is off until set
+  data.packages.forEach(pkg => {
+    pkg.durationDays ??= DEFAULT_PACKAGE_DAYS;
+    pkg.renewalCommission ??= 0;
+  });
+  users.all().forEach(user => {
+    if (user.package && user.packageExpiresAt === undefined) {
+      const pkg = data.packages.find(p => p.name === user.package);
+      user.packageExpiresAt = getPackageExpiry(pkg, user.packageConfirmedAt || user.createdAt);
+    }
+  });
+  
+  data.admin.broadcasts ||= [];
+  
+  const policy = data.admin.withdrawPolicy || {};
+  data.admin.withdrawPolicy = {
+    ...DEFAULT_WITHDRAW_POLICY,
+    ...policy,
+    fees: { ...DEFAULT_WITHDRAW_POLICY.fees, ...policy.fees }
+  };
+  
+  // Before payout batches, approving a withdrawal meant it had been paid out
+  if (!data.payoutBatches) {
+    data.payoutBatches = [];
+    data.withdraws
+      .filter(request => request.status === 'approved')
+      .forEach(request => {
+        request.status = 'paid';
+        request.paidAt = request.updatedAt;
+      });
+  }
+  
+  data.admin.reports ||= {};
+  for (const [name, defaults] of Object.entries(DEFAULT_REPORTS)) {
+    data.admin.reports[name] ||= { ...defaults, lastRunAt: null };
+  }
+  
+  // ADMIN_ID always stays an owner so the bot can't be locked out
+  data.admin.admins ||= [];
+  const ownerId = parseInt(process.env.ADMIN_ID) || data.admin.id;
+  if (ownerId && !data.admin.admins.some(admin => admin.id === ownerId)) {
+    data.admin.admins.push({ id: ownerId, roles: ['owner'], addedAt: new Date().toISOString() });
+  }
+  
+  // Backfill purchase records for packages confirmed before purchases were tracked
+  if (!data.purchases) {
+    data.purchases = users.all()
+      .filter(user => user.package)
+      .map(user => {
+        const pkg = data.packages.find(p => p.name === user.package);
+        return {
+          id: nanoid(8),
+          userId: user.id,
+          package: user.package,
+          price: pkg?.price || 0,
+          commission: pkg?.commission || 0,
+          legacy: true,
+          confirmedAt: user.packageConfirmedAt || user.createdAt
+        };
+      });
+  }
+  
+  // Carry existing balances over as opening entries so the ledger sums match
+  if (!data.ledger) {
+    data.ledger = users.all()
+      .filter(user => user.balance !== 0)
+      .map(user => ({
+        id: nanoid(8),
+        userId: user.id,
+        type: 'opening_balance',
+        amount: user.balance,
+        balanceAfter: user.balance,
+        createdAt: new Date().toISOString()
+      }));
+  }
+}
+
+// Metrics for /metrics and write status for /healthz
+const metrics = {
+  commands: new Counter('referral_bot_commands_total', 'Bot commands received, by command'),
+  notificationFailures: new Counter('referral_bot_notification_failures_total', 'Messages that could not be delivered, by recipient'),
+  saveFailures: new Counter('referral_bot_db_save_failures_total', 'Failed database writes'),
+  saveDuration: new Histogram('referral_bot_db_save_duration_seconds', 'saveDB latency', [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]),
+  pendingWithdrawals: new Gauge('referral_bot_pending_withdrawals', 'Withdrawal requests waiting for review, by status', () =>
+    ['pending', 'held'].map(status => ({ labels: { status }, value: db.data.withdraws.filter(w => w.status === status).length }))
+  ),
+  pendingWithdrawalAmount: new Gauge('referral_bot_pending_withdrawal_amount_etb', 'Total amount of pending and held withdrawals', () =>
+    db.data.withdraws.filter(w => w.status === 'pending' || w.status === 'held').reduce((sum, w) => sum + w.amount, 0)
+  ),
+  pendingPurchases: new Gauge('referral_bot_pending_purchases', 'Purchases waiting for admin confirmation', () => db.data.pendingPurchases.length),
+  users: new Gauge('referral_bot_users', 'Registered users', () => users.count())
 };
+const dbHealth = { lastSaveAt: null, lastSaveError: null };
 
 // Bot setup
-const bot = new Telegraf(process.env.BOT_TOKEN);
+const bot = new Telegraf(process.env.BOT_TOKEN, {
+  telegram: TELEGRAM_API_ROOT ? { apiRoot: TELEGRAM_API_ROOT } : {}
+});
 bot.use(session());
 
-// In-memory user sessions for withdrawal process
-const userSessions = {};
+// Counts commands for /metrics
+bot.use((ctx, next) => {
+  const entity = ctx.message?.entities?.[0];
+  if (entity?.type === 'bot_command' && entity.offset === 0) {
+    const command = ctx.message.text.slice(1, entity.length).split('@')[0].toLowerCase();
+    metrics.commands.inc({ command });
+  }
+  return next();
+});
+
+// ctx.t translates into the language of whoever sent the update
+bot.use((ctx, next) => {
+  ctx.t = (key, params) => t(getLanguage(ctx.from?.id, ctx.from?.language_code), key, params);
+  return next();
+});
+
+// Users who message the bot again after blocking it become reachable again
+bot.use(async (ctx, next) => {
+  const user = ctx.from && findUserById(ctx.from.id);
+  if (user?.inactive) {
+    user.inactive = false;
+    delete user.inactiveAt;
+    await saveDB();
+  }
+  return next();
+});
+
+// Users whose conversation step is currently being handled, so double sends are ignored
+const busyConversations = new Set();
+
+// Filter and page of each paginated listing message, keyed by "chatId:messageId"
+const listings = new Map();
+
+// Broadcasts currently being sent by this process
+const runningBroadcasts = new Set();
 
 // Utility functions
-function isAdmin(ctx) {
-  return String(ctx.from?.id) === String(process.env.ADMIN_ID);
+function findAdmin(userId) {
+  return db.data.admin.admins.find(admin => admin.id === userId);
+}
+
+// With no roles any admin passes; owners pass every role check
+function isAdmin(ctx, ...roles) {
+  const admin = findAdmin(ctx.from?.id);
+  if (!admin) return false;
+  if (roles.length === 0 || admin.roles.includes('owner')) return true;
+  return roles.some(role => admin.roles.includes(role));
+}
+
+function getAdminsWithRole(role) {
+  return db.data.admin.admins.filter(
+    admin => admin.roles.includes(role) || admin.roles.includes('owner')
+  );
+}
+
+// Returns the sent messages so moderation buttons can be updated later
+async function notifyAdmins(role, message, extra) {
+  const sent = [];
+  for (const admin of getAdminsWithRole(role)) {
+    try {
+      const result = await bot.telegram.sendMessage(admin.id, message, extra);
+      sent.push({ chatId: admin.id, messageId: result.message_id });
+    } catch (error) {
+      logNotificationFailure('admin', error, admin.id);
+    }
+  }
+  return sent;
+}
+
+// Logs a message that couldn't be delivered and counts it for /metrics
+function logNotificationFailure(recipient, error, id = null) {
+  metrics.notificationFailures.inc({ recipient });
+  console.log(`Could not notify ${recipient}${id ? ' ' + id : ''}:`, error.message);
+}
+
+// The command (or button data) that triggered an action is kept for the audit log
+function getActor(from, command) {
+  return {
+    id: from.id,
+    name: `${from.first_name}${from.last_name ? ' ' + from.last_name : ''}`,
+    ...(command && { command })
+  };
+}
+
+// Records an admin change with the values it replaced. `refs` names what was
+// changed (userId, withdrawId, purchaseId, package...) so /audit can filter on it.
+// Callers save the database afterwards.
+function recordAudit(actor, action, refs, before, after) {
+  db.data.audit.push({
+    id: nanoid(8),
+    action,
+    actor: actor && { id: actor.id, name: actor.name },
+    command: actor?.command || null,
+    refs,
+    before,
+    after,
+    createdAt: new Date().toISOString()
+  });
+}
+
+function formatAuditValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Only the fields that changed; the export keeps the full before and after
+function formatAuditChanges(entry) {
+  const keys = [...new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})])];
+  return keys
+    .filter(key => JSON.stringify(entry.before?.[key]) !== JSON.stringify(entry.after?.[key]))
+    .map(key => `${key}: ${formatAuditValue(entry.before?.[key])} → ${formatAuditValue(entry.after?.[key])}`)
+    .join(', ');
+}
+
+function moderationKeyboard(kind, id, fromList = false) {
+  const suffix = fromList ? ':list' : '';
+  const [approve, reject] = kind === 'withdraw' ? ['withdraw_approve', 'withdraw_reject'] : ['purchase_confirm', 'purchase_reject'];
+  return [
+    Markup.button.callback(`✅ ${fromList ? id : kind === 'withdraw' ? 'Approve' : 'Confirm'}`, `${approve}:${id}${suffix}`),
+    Markup.button.callback(`❌ ${fromList ? id : 'Reject'}`, `${reject}:${id}${suffix}`)
+  ];
+}
+
+// Rewrites every admin copy of a moderation message with its final status and drops the buttons
+async function closeModerationMessages(messages = [], text, status) {
+  for (const message of messages) {
+    try {
+      if (message.isPhoto) {
+        await bot.telegram.editMessageCaption(message.chatId, message.messageId, undefined, `${text}\n\n${status}`);
+      } else {
+        await bot.telegram.editMessageText(message.chatId, message.messageId, undefined, `${text}\n\n${status}`);
+      }
+    } catch (error) {
+      console.log('Could not update admin message:', error.message);
+    }
+  }
 }
 
 function generateReferralCode() {
   return nanoid(6);
 }
 
+function addUser(user) {
+  users.add(user);
+}
+
 function findUserById(userId) {
-  return db.data.users.find(user => user.id === userId);
+  return users.findById(userId);
+}
+
+// Unregistered users get their Telegram app language when we have it
+function getLanguage(userId, fallback) {
+  const language = findUserById(userId)?.language || fallback;
+  return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
 }
 
 function findUserByReferralCode(code) {
-  return db.data.users.find(user => user.referralCode === code);
+  return users.findByReferralCode(code);
+}
+
+function findReferrals(user) {
+  return users.findReferrals(user.referralCode);
+}
+
+function parseReferralTiers(value) {
+  return value.split(',')
+    .map(tier => tier.trim())
+    .filter(Boolean)
+    .map(tier => tier.endsWith('%') ? { percent: parseFloat(tier) } : { amount: parseInt(tier) })
+    .filter(tier => !isNaN(tier.percent ?? tier.amount));
+}
+
+function calculateTierCommission(tier, commission) {
+  if (tier.percent !== undefined) {
+    return Math.round(commission * tier.percent / 100);
+  }
+  return tier.amount;
+}
+
+// Walks up the referredBy chain, returning at most one ancestor per tier
+function getReferralChain(user) {
+  const chain = [];
+  const visited = new Set([user.id]);
+  let code = user.referredBy;
+  
+  while (code && chain.length < REFERRAL_TIERS.length) {
+    const referrer = findUserByReferralCode(code);
+    if (!referrer || visited.has(referrer.id)) break;
+    
+    chain.push(referrer);
+    visited.add(referrer.id);
+    code = referrer.referredBy;
+  }
+  
+  return chain;
+}
+
+// Milestone bonuses aren't tied to a referral level, so they're left out
+function getEarningsByLevel(userId) {
+  const earnings = {};
+  db.data.commissions
+    .filter(commission => commission.userId === userId && !commission.reversedAt && !commission.milestone)
+    .forEach(commission => {
+      earnings[commission.level] = (earnings[commission.level] || 0) + commission.amount;
+    });
+  return earnings;
+}
+
+function formatEarningsByLevel(userId, language = DEFAULT_LANGUAGE) {
+  const earnings = getEarningsByLevel(userId);
+  let message = '';
+  REFERRAL_TIERS.forEach((tier, index) => {
+    const level = index + 1;
+    message += t(language, 'earnings.level', { level, amount: earnings[level] || 0 }) + '\n';
+  });
+  return message;
+}
+
+// Every balance change goes through here so the ledger always explains user.balance
+function postLedgerEntry(user, type, amount, refs = {}) {
+  user.balance += amount;
+  
+  const entry = {
+    id: nanoid(8),
+    userId: user.id,
+    type: type,
+    amount: amount,
+    balanceAfter: user.balance,
+    ...refs,
+    createdAt: new Date().toISOString()
+  };
+  
+  db.data.ledger.push(entry);
+  return entry;
+}
+
+function getLedgerEntries(userId) {
+  return db.data.ledger.filter(entry => entry.userId === userId);
+}
+
+function getLedgerBalance(userId) {
+  return getLedgerEntries(userId).reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+function findBalanceMismatches() {
+  return users.all()
+    .map(user => ({ user, ledgerBalance: getLedgerBalance(user.id) }))
+    .filter(({ user, ledgerBalance }) => ledgerBalance !== user.balance);
+}
+
+// Entry types are labelled by the ledger.<type> messages in locales.js
+function formatLedgerEntry(entry, language = DEFAULT_LANGUAGE) {
+  const sign = entry.amount > 0 ? '+' : '';
+  const ref = entry.withdrawId ? t(language, 'ledger.withdrawRef', { id: entry.withdrawId })
+    : entry.purchaseId ? t(language, 'ledger.purchaseRef', { id: entry.purchaseId }) : '';
+  const level = entry.level ? ` L${entry.level}` : '';
+  return `${new Date(entry.createdAt).toLocaleDateString()} | ${t(language, 'common.amount', { amount: sign + entry.amount })} | ` +
+    `${t(language, 'ledger.' + entry.type)}${level}${ref} | ${t(language, 'ledger.balance', { amount: entry.balanceAfter })}`;
+}
+
+function findPackage(name) {
+  return db.data.packages.find(pkg => pkg.name.toLowerCase() === String(name).toLowerCase());
+}
+
+function getPackages(includeInactive = false) {
+  return db.data.packages
+    .filter(pkg => includeInactive || pkg.active)
+    .sort((a, b) => a.order - b.order);
+}
+
+// Describes moving a user from their current package to `pkg`: the price and
+// commission differences and whether it is an upgrade, the same package or a
+// downgrade (anything not more expensive). Null when the user has no package yet.
+function getPackageChange(user, pkg) {
+  const current = user?.package && findPackage(user.package);
+  if (!current || !pkg) return null;
+  
+  return {
+    from: current.name,
+    kind: current === pkg ? 'same' : pkg.price > current.price ? 'upgrade' : 'downgrade',
+    price: pkg.price - current.price,
+    commission: Math.max(0, pkg.commission - current.commission),
+    fromCommission: current.commission,
+    expired: hasPackageExpired(user)
+  };
+}
+
+// The daily reminder run sets packageExpired, so check the date as well
+function hasPackageExpired(user) {
+  return Boolean(user.packageExpired || (user.packageExpiresAt && new Date(user.packageExpiresAt) <= new Date()));
+}
+
+// An upgrade keeps the current term, so one that has already ended is renewed first
+function isExpiredUpgrade(change) {
+  return change?.kind === 'upgrade' && change.expired;
+}
+
+function getPackageExpiry(pkg, from) {
+  if (!(pkg?.durationDays > 0)) return null;
+  return new Date(new Date(from).getTime() + pkg.durationDays * DAY_MS).toISOString();
+}
+
+// user.package is only the current package; every change and renewal is kept
+// in packageHistory. A new expiry date starts a new term with fresh reminders.
+function setUserPackage(user, packageName, { reason, purchaseId = null, actor = null, confirmedAt = new Date().toISOString(), expiresAt = null }) {
+  if (user.package !== packageName || reason === 'renewal') {
+    (user.packageHistory ||= []).push({
+      from: user.package || null,
+      to: packageName,
+      reason,
+      purchaseId,
+      changedBy: actor && { id: actor.id, name: actor.name },
+      changedAt: new Date().toISOString()
+    });
+  }
+  const packageExpiresAt = packageName ? expiresAt : null;
+  if (user.packageExpiresAt !== packageExpiresAt) {
+    user.renewalReminders = [];
+    delete user.packageExpired;
+  }
+  user.package = packageName;
+  user.packageConfirmedAt = packageName ? confirmedAt : null;
+  user.packageExpiresAt = packageExpiresAt;
+}
+
+function formatPackageExpiry(user) {
+  if (!user.package || !user.packageExpiresAt) return '';
+  const date = new Date(user.packageExpiresAt).toLocaleDateString();
+  return user.packageExpired ? ` (expired ${date})` : ` (expires ${date})`;
+}
+
+function formatAvailablePackages() {
+  return '❌ Invalid package. Available: ' + getPackages().map(pkg => pkg.name).join(', ');
 }
 
 function findPendingPurchase(userId, packageName) {
@@ -58,30 +652,329 @@ function findPendingPurchase(userId, packageName) {
   );
 }
 
+function findPendingPurchaseById(id) {
+  return db.data.pendingPurchases.find(purchase => purchase.id === id);
+}
+
 function findWithdrawRequest(id) {
   return db.data.withdraws.find(withdraw => withdraw.id === id);
 }
 
 async function saveDB() {
+  const started = performance.now();
   try {
+    await users.save();
     await db.write();
+    dbHealth.lastSaveAt = new Date().toISOString();
+    dbHealth.lastSaveError = null;
+  } catch (err) {
+    metrics.saveFailures.inc();
+    dbHealth.lastSaveError = err.message;
+    console.error('❌ Failed to save database:', err);
+  } finally {
+    metrics.saveDuration.observe((performance.now() - started) / 1000);
+  }
+}
+
+function sha256(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+// Snapshots the in-memory data with a sha256sum-compatible checksum file next to it
+async function createBackup(label = '') {
+  fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+  
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `db_${timestamp}${label ? '_' + label : ''}.json${BACKUP_COMPRESS ? '.gz' : ''}`;
+  const backupPath = path.join(BACKUPS_DIR, name);
+  
+  let contents = Buffer.from(JSON.stringify({ ...db.data, users: users.all() }, null, 2));
+  if (BACKUP_COMPRESS) {
+    contents = zlib.gzipSync(contents);
+  }
+  
+  await fs.promises.writeFile(backupPath, contents);
+  await fs.promises.writeFile(`${backupPath}.sha256`, `${sha256(contents)}  ${name}\n`);
+  console.log(`💾 Backup saved: ${backupPath}`);
+  
+  return name;
+}
+
+function getBackupDate(name) {
+  const match = name.match(/^db_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  if (match) {
+    return new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+  }
+  return fs.statSync(path.join(BACKUPS_DIR, name)).mtime;
+}
+
+// Newest first
+function listBackups() {
+  if (!fs.existsSync(BACKUPS_DIR)) return [];
+  
+  return fs.readdirSync(BACKUPS_DIR)
+    .filter(name => BACKUP_NAME_PATTERN.test(name))
+    .map(name => ({
+      name: name,
+      size: fs.statSync(path.join(BACKUPS_DIR, name)).size,
+      createdAt: getBackupDate(name)
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Returns true or false for a checksum match, or null for backups without a checksum file
+function verifyBackup(name) {
+  const checksumPath = path.join(BACKUPS_DIR, `${name}.sha256`);
+  if (!fs.existsSync(checksumPath)) return null;
+  
+  const expected = fs.readFileSync(checksumPath, 'utf-8').split(/\s+/)[0];
+  return sha256(fs.readFileSync(path.join(BACKUPS_DIR, name))) === expected;
+}
+
+function readBackup(name) {
+  let contents = fs.readFileSync(path.join(BACKUPS_DIR, name));
+  if (name.endsWith('.gz')) {
+    contents = zlib.gunzipSync(contents);
+  }
+  return JSON.parse(contents.toString('utf-8'));
+}
+
+function pruneBackups() {
+  const now = Date.now();
+  const buckets = new Set();
+  let removed = 0;
+  
+  for (const backup of listBackups()) {
+    const age = now - backup.createdAt;
+    if (age < DAY_MS) continue;
     
-    // Create backup
-    const backupsDir = 'backups';
-    if (!fs.existsSync(backupsDir)) {
-      fs.mkdirSync(backupsDir, { recursive: true });
+    let bucket = null;
+    if (age < BACKUP_KEEP_DAILY * DAY_MS) {
+      bucket = `day:${backup.createdAt.toISOString().slice(0, 10)}`;
+    } else if (age < BACKUP_KEEP_WEEKLY * 7 * DAY_MS) {
+      bucket = `week:${Math.floor(backup.createdAt / (7 * DAY_MS))}`;
     }
     
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupPath = `${backupsDir}/db_${timestamp}.json`;
+    if (bucket && !buckets.has(bucket)) {
+      buckets.add(bucket);
+      continue;
+    }
     
-    if (fs.existsSync('db.json')) {
-      fs.copyFileSync('db.json', backupPath);
-      console.log(`💾 Backup saved: ${backupPath}`);
+    fs.rmSync(path.join(BACKUPS_DIR, backup.name), { force: true });
+    fs.rmSync(path.join(BACKUPS_DIR, `${backup.name}.sha256`), { force: true });
+    removed++;
+  }
+  
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} old backup(s)`);
+  }
+}
+
+// Sanity checks a snapshot before it replaces the live data
+function validateSchema(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Backup is not a database object'];
+  }
+  
+  const errors = [];
+  for (const key of ['users', 'pendingPurchases', 'withdraws']) {
+    if (!Array.isArray(data[key])) {
+      errors.push(`${key} is missing or not a list`);
     }
-  } catch (err) {
-    console.error('❌ Failed to save database:', err);
   }
+  
+  for (const key of ['commissions', 'ledger', 'packages', 'purchases', 'conversations', 'payoutProfiles', 'flags', 'campaigns', 'milestones', 'audit', 'payoutBatches']) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      errors.push(`${key} is not a list`);
+    }
+  }
+  
+  if (!data.admin || typeof data.admin !== 'object') {
+    errors.push('admin section is missing');
+  }
+  
+  const ids = new Set();
+  (Array.isArray(data.users) ? data.users : []).forEach((user, index) => {
+    if (typeof user?.id !== 'number' || typeof user.referralCode !== 'string' || typeof user.balance !== 'number') {
+      errors.push(`users[${index}] is missing id, referralCode or balance`);
+    } else if (ids.has(user.id)) {
+      errors.push(`users[${index}] duplicates user ${user.id}`);
+    }
+    ids.add(user?.id);
+  });
+  
+  return errors.slice(0, 10);
+}
+
+// Datasets for /export. Each maps column headers to getters; `date` is the field
+// the date range applies to and `status` gives the statuses an item matches.
+// Withdrawals use their last status change, and a paid one was approved first,
+// so an approved export for a month lists everything approved or paid out in it.
+const EXPORT_DATASETS = {
+  users: {
+    items: () => users.all(),
+    date: user => user.createdAt,
+    statuses: ['active', 'nopackage', 'inactive'],
+    status: user => user.inactive ? 'inactive' : user.package ? 'active' : 'nopackage',
+    columns: {
+      'ID': user => user.id,
+      'Name': user => user.name,
+      'Referral code': user => user.referralCode,
+      'Referred by': user => user.referredBy,
+      'Package': user => user.package,
+      'Balance': user => user.balance,
+      'Inactive': user => user.inactive ? 'yes' : 'no',
+      'Package expires': user => user.packageExpiresAt,
+      'Package expired': user => user.packageExpired ? 'yes' : 'no',
+      'Joined': user => user.createdAt
+    }
+  },
+  purchases: {
+    items: () => db.data.purchases,
+    date: purchase => purchase.confirmedAt,
+    statuses: ['confirmed', 'refunded'],
+    status: purchase => purchase.refundedAt ? 'refunded' : 'confirmed',
+    columns: {
+      'ID': purchase => purchase.id,
+      'User ID': purchase => purchase.userId,
+      'User': purchase => findUserById(purchase.userId)?.name,
+      'Package': purchase => purchase.package,
+      'Upgrade from': purchase => purchase.upgradeFrom,
+      'Renewal': purchase => purchase.renewal ? 'yes' : 'no',
+      'Expires at': purchase => purchase.expiresAt,
+      'Price': purchase => purchase.price,
+      'Commission': purchase => purchase.commission,
+      'Base commission': purchase => purchase.baseCommission ?? purchase.commission,
+      'Campaigns': purchase => purchase.campaigns?.map(campaign => campaign.name).join(', '),
+      'Confirmed by': purchase => purchase.confirmedBy?.name,
+      'Confirmed at': purchase => purchase.confirmedAt,
+      'Refunded at': purchase => purchase.refundedAt,
+      'Refund reason': purchase => purchase.refundReason
+    }
+  },
+  withdrawals: {
+    items: () => db.data.withdraws,
+    date: withdraw => withdraw.updatedAt || withdraw.createdAt,
+    statuses: WITHDRAW_STATUSES,
+    status: withdraw => withdraw.status === 'paid' ? ['approved', 'paid'] : withdraw.status,
+    columns: {
+      'ID': withdraw => withdraw.id,
+      'User ID': withdraw => withdraw.userId,
+      'User': withdraw => findUserById(withdraw.userId)?.name,
+      'Amount': withdraw => withdraw.amount,
+      'Fee': withdraw => withdraw.fee || 0,
+      'Net amount': withdraw => withdraw.netAmount ?? withdraw.amount,
+      'Method': withdraw => withdraw.paymentMethod,
+      'Destination': withdraw => withdraw.destination ? formatPayoutDestination(withdraw.paymentMethod, withdraw.destination, ', ') : '',
+      'Status': withdraw => withdraw.status,
+      'Handled by': withdraw => withdraw.handledBy?.name,
+      'Note': withdraw => withdraw.note,
+      'Batch': withdraw => withdraw.batchId,
+      'Requested at': withdraw => withdraw.createdAt,
+      'Updated at': withdraw => withdraw.updatedAt,
+      'Paid at': withdraw => withdraw.paidAt
+    }
+  },
+  commissions: {
+    items: () => db.data.commissions,
+    date: commission => commission.createdAt,
+    columns: {
+      'ID': commission => commission.id,
+      'User ID': commission => commission.userId,
+      'User': commission => findUserById(commission.userId)?.name,
+      'From user ID': commission => commission.fromUserId,
+      'Purchase ID': commission => commission.purchaseId,
+      'Package': commission => commission.package,
+      'Level': commission => commission.level,
+      'Amount': commission => commission.amount,
+      'Milestone': commission => commission.milestone,
+      'Created at': commission => commission.createdAt,
+      'Reversed at': commission => commission.reversedAt
+    }
+  },
+  audit: {
+    roles: ['owner'],
+    items: () => db.data.audit,
+    date: entry => entry.createdAt,
+    columns: {
+      'ID': entry => entry.id,
+      'Created at': entry => entry.createdAt,
+      'Actor ID': entry => entry.actor?.id,
+      'Actor': entry => entry.actor?.name,
+      'Action': entry => entry.action,
+      'Command': entry => entry.command,
+      'User ID': entry => entry.refs?.userId,
+      'Refs': entry => Object.entries(entry.refs || {}).map(([key, value]) => `${key}=${value}`).join(', '),
+      'Before': entry => entry.before ? JSON.stringify(entry.before) : '',
+      'After': entry => entry.after ? JSON.stringify(entry.after) : ''
+    }
+  }
+};
+
+// Parses "/export <dataset> [status] [from] [to] [csv|xlsx]"; dates are YYYY-MM-DD and inclusive
+function parseExportArgs(args) {
+  const dataset = EXPORT_DATASETS[args[0]?.toLowerCase()];
+  if (!dataset) {
+    return { error: `❌ Unknown dataset. Available: ${Object.keys(EXPORT_DATASETS).join(', ')}` };
+  }
+  
+  const options = { name: args[0].toLowerCase(), dataset, format: 'csv', dates: [] };
+  for (const arg of args.slice(1)) {
+    const value = arg.toLowerCase();
+    if (value === 'csv' || value === 'xlsx') {
+      options.format = value;
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value))) {
+      options.dates.push(value);
+    } else if (dataset.statuses?.includes(value)) {
+      options.status = value;
+    } else {
+      const statuses = dataset.statuses ? ` Statuses: ${dataset.statuses.join(', ')}` : '';
+      return { error: `❌ Invalid filter: ${arg}.${statuses}` };
+    }
+  }
+  
+  if (options.dates.length > 2) {
+    return { error: '❌ Give at most a start and an end date.' };
+  }
+  
+  [options.from, options.to] = options.dates;
+  return options;
+}
+
+function buildExportRows({ dataset, status, from, to }) {
+  const fromDate = from && new Date(from).toISOString();
+  const toDate = to && new Date(new Date(to).getTime() + DAY_MS).toISOString();
+  
+  return dataset.items()
+    .filter(item => !status || [].concat(dataset.status(item)).includes(status))
+    .filter(item => !fromDate || dataset.date(item) >= fromDate)
+    .filter(item => !toDate || dataset.date(item) < toDate)
+    .map(item => Object.values(dataset.columns).map(column => column(item) ?? ''));
+}
+
+// Quotes CSV fields and defuses text that spreadsheets would run as a formula
+function formatCsvField(value) {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function createExportFile(headers, rows, format) {
+  if (format === 'xlsx') {
+    // Loaded on demand, only xlsx exports need it
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Export');
+    sheet.columns = headers.map(header => ({ header, width: Math.max(12, header.length + 2) }));
+    sheet.addRows(rows);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+  
+  const lines = [headers, ...rows].map(row => row.map(formatCsvField).join(','));
+  // The byte order mark makes Excel read non-Latin names as UTF-8
+  return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n');
 }
 
 async function registerUser(ctx) {
@@ -99,6 +992,7 @@ async function registerUser(ctx) {
       referredBy: null,
       balance: 0,
       package: null,
+      language: getLanguage(userId, ctx.from.language_code),
       createdAt: new Date().toISOString()
     };
     
@@ -110,268 +1004,3253 @@ async function registerUser(ctx) {
         try {
           await ctx.telegram.sendMessage(
             referrer.id,
-            `👋 Someone joined using your referral link!`
+            t(getLanguage(referrer.id), 'referral.joined')
           );
         } catch (error) {
-          console.log('Could not notify referrer:', error.message);
+          logNotificationFailure('referrer', error);
         }
       }
     }
-    
-    db.data.users.push(user);
-    await saveDB();
+    
+    addUser(user);
+    await saveDB();
+    
+    if (user.referredBy) {
+      await checkReferralFraud(findUserByReferralCode(user.referredBy));
+    }
+  }
+  
+  return user;
+}
+
+// Accepts 09XXXXXXXX, 9XXXXXXXX, 2519XXXXXXXX or +2519XXXXXXXX and normalizes to +251
+function parseEthiopianPhone(text) {
+  const match = text.replace(/[\s-]/g, '').match(/^(?:\+?251|0)?(9\d{8})$/);
+  return match ? `+251${match[1]}` : null;
+}
+
+function parseAccountNumber(text, method) {
+  const digits = text.replace(/[\s-]/g, '');
+  const pattern = method === 'CBE' ? /^1000\d{9}$/ : /^\d{8,16}$/;
+  return pattern.test(digits) ? digits : null;
+}
+
+function parsePayoutMethod(text) {
+  const methods = Object.keys(PAYOUT_METHODS);
+  const index = parseInt(text);
+  if (index >= 1 && index <= methods.length) return methods[index - 1];
+  return methods.find(method => text.toLowerCase().includes(method.toLowerCase())) || null;
+}
+
+// Withdrawal prompts list each method's fee; payout profile prompts don't
+function formatPayoutMethodChoices(language = null) {
+  return Object.keys(PAYOUT_METHODS).map((method, index) => {
+    const fee = language && formatWithdrawFee(getWithdrawPolicy().fees[method], language);
+    return `${index + 1}) ${method}` + (fee ? t(language, 'withdraw.methodFee', { fee }) : '');
+  }).join('\n');
+}
+
+function formatPayoutDestination(method, destination = {}, separator = '\n', language = DEFAULT_LANGUAGE) {
+  return (PAYOUT_METHODS[method]?.fields || [])
+    .filter(field => destination[field])
+    .map(field => `${t(language, `payoutField.${field}.label`)}: ${destination[field]}`)
+    .join(separator);
+}
+
+function getPayoutProfiles(userId, method) {
+  return db.data.payoutProfiles.filter(
+    profile => profile.userId === userId && (!method || profile.method === method)
+  );
+}
+
+async function savePayoutProfile(userId, method, details) {
+  const existing = getPayoutProfiles(userId, method).find(
+    profile => JSON.stringify(profile.details) === JSON.stringify(details)
+  );
+  if (existing) return existing;
+  
+  const profile = {
+    id: nanoid(8),
+    userId: userId,
+    method: method,
+    details: details,
+    createdAt: new Date().toISOString()
+  };
+  db.data.payoutProfiles.push(profile);
+  await saveDB();
+  
+  return profile;
+}
+
+function getWithdrawPolicy() {
+  return db.data.admin.withdrawPolicy;
+}
+
+// Parses "2%", "10" or "2%+10" into { percent, flat }; "0" is no fee
+function parseWithdrawFee(text) {
+  const fee = { percent: 0, flat: 0 };
+  const parts = text.split('+');
+  if (parts.length > 2) return null;
+  
+  for (const part of parts) {
+    if (/^\d+(\.\d+)?%$/.test(part)) {
+      fee.percent = parseFloat(part);
+    } else if (/^\d+$/.test(part)) {
+      fee.flat = parseInt(part);
+    } else {
+      return null;
+    }
+  }
+  return fee.percent <= 100 ? fee : null;
+}
+
+// Empty when the method is free
+function formatWithdrawFee(fee, language = DEFAULT_LANGUAGE) {
+  return [
+    fee?.percent && `${fee.percent}%`,
+    fee?.flat && t(language, 'common.amount', { amount: fee.flat })
+  ].filter(Boolean).join(' + ');
+}
+
+function calculateWithdrawFee(method, amount) {
+  const fee = getWithdrawPolicy().fees[method] || { percent: 0, flat: 0 };
+  return Math.round(amount * fee.percent / 100) + fee.flat;
+}
+
+// Returns the locale key and params for the first rule a withdrawal breaks, or
+// null. Without an amount only the pending request and cooldown rules apply;
+// the fee is checked once the method is known.
+function getWithdrawPolicyError(user, amount, method) {
+  const policy = getWithdrawPolicy();
+  const requests = db.data.withdraws.filter(w => w.userId === user.id && w.status !== 'rejected');
+  if (requests.some(w => w.status === 'pending' || w.status === 'held')) {
+    return { key: 'withdraw.alreadyPending' };
+  }
+  
+  const lastRequestAt = requests.at(-1) && new Date(requests.at(-1).createdAt).getTime();
+  const nextAllowed = lastRequestAt + policy.cooldownHours * 60 * 60 * 1000;
+  if (policy.cooldownHours > 0 && lastRequestAt && nextAllowed > Date.now()) {
+    return { key: 'withdraw.cooldown', params: { time: new Date(nextAllowed).toLocaleString() } };
+  }
+  
+  if (amount === undefined) return null;
+  if (amount <= 0 || amount < policy.minAmount) {
+    return { key: 'withdraw.belowMinimum', params: { min: policy.minAmount } };
+  }
+  if (amount > user.balance) {
+    return { key: 'withdraw.insufficient' };
+  }
+  
+  for (const [period, cap] of [['day', policy.dailyCap], ['month', policy.monthlyCap]]) {
+    if (cap <= 0) continue;
+    
+    const since = getPeriodStart(period).toISOString();
+    const used = requests
+      .filter(w => w.createdAt >= since)
+      .reduce((sum, w) => sum + w.amount, 0);
+    if (used + amount > cap) {
+      return { key: `withdraw.${period}Cap`, params: { cap, remaining: Math.max(0, cap - used) } };
+    }
+  }
+  
+  const fee = method && calculateWithdrawFee(method, amount);
+  if (fee && fee >= amount) {
+    return { key: 'withdraw.feeTooHigh', params: { method, fee } };
+  }
+  
+  return null;
+}
+
+async function createWithdrawRequest(userId, amount, paymentMethod, destination = null) {
+  const user = findUserById(userId);
+  if (!user || getWithdrawPolicyError(user, amount, paymentMethod)) return null;
+  
+  const holdReason = getWithdrawHoldReason(user, amount);
+  const fee = calculateWithdrawFee(paymentMethod, amount);
+  const withdrawRequest = {
+    id: nanoid(8),
+    userId: userId,
+    amount: amount,
+    fee: fee,
+    netAmount: amount - fee,
+    paymentMethod: paymentMethod,
+    destination: destination,
+    status: holdReason ? 'held' : 'pending',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  db.data.withdraws.push(withdrawRequest);
+  postLedgerEntry(user, 'withdraw', -amount, { withdrawId: withdrawRequest.id });
+  await saveDB();
+  
+  if (holdReason) {
+    await raiseFlag(holdReason.type, userId, holdReason.details, { withdrawId: withdrawRequest.id });
+  }
+  
+  return withdrawRequest;
+}
+
+function formatWithdrawNotification(request) {
+  const user = findUserById(request.userId);
+  return `🆕 New withdrawal request:\n\n` +
+    `User: ${user?.name || request.userId} (ID: ${request.userId})\n` +
+    `Amount: ${request.amount} ETB\n` +
+    (request.fee ? `Fee: ${request.fee} ETB, pay ${request.netAmount} ETB\n` : '') +
+    `Method: ${request.paymentMethod}\n` +
+    (request.destination ? `${formatPayoutDestination(request.paymentMethod, request.destination)}\n` : '') +
+    `Request ID: ${request.id}`;
+}
+
+async function notifyNewWithdrawRequest(request) {
+  request.adminMessages = await notifyAdmins(
+    'finance',
+    formatWithdrawNotification(request),
+    Markup.inlineKeyboard([moderationKeyboard('withdraw', request.id)])
+  );
+  await saveDB();
+}
+
+// The status check and update happen before any await, so a double tap can't approve twice
+async function approveWithdrawRequest(withdrawId, note = '', actor = null) {
+  const request = findWithdrawRequest(withdrawId);
+  if (!request || request.status !== 'pending') return false;
+  
+  request.status = 'approved';
+  request.note = note;
+  request.handledBy = actor;
+  request.updatedAt = new Date().toISOString();
+  recordAudit(actor, 'withdraw_approve', { userId: request.userId, withdrawId: request.id },
+    { status: 'pending' }, { status: 'approved', note });
+  await saveDB();
+  
+  await closeModerationMessages(
+    request.adminMessages,
+    formatWithdrawNotification(request),
+    `✅ Approved${actor ? ' by ' + actor.name : ''}${note ? '\nNote: ' + note : ''}`
+  );
+  
+  const language = getLanguage(request.userId);
+  try {
+    await bot.telegram.sendMessage(
+      request.userId,
+      t(language, 'withdraw.approved', { amount: request.amount }) + (note ? t(language, 'common.note', { note }) : '')
+    );
+  } catch (error) {
+    logNotificationFailure('user', error);
+  }
+  
+  return true;
+}
+
+async function rejectWithdrawRequest(withdrawId, reason = '', actor = null) {
+  const request = findWithdrawRequest(withdrawId);
+  if (!request || request.status !== 'pending') return false;
+  
+  // Return funds to user
+  const user = findUserById(request.userId);
+  if (user) {
+    postLedgerEntry(user, 'withdraw_refund', request.amount, { withdrawId: request.id });
+  }
+  
+  request.status = 'rejected';
+  request.note = reason;
+  request.handledBy = actor;
+  request.updatedAt = new Date().toISOString();
+  recordAudit(actor, 'withdraw_reject', { userId: request.userId, withdrawId: request.id },
+    { status: 'pending', balance: user && user.balance - request.amount },
+    { status: 'rejected', balance: user?.balance, reason });
+  await saveDB();
+  
+  await closeModerationMessages(
+    request.adminMessages,
+    formatWithdrawNotification(request),
+    `❌ Rejected${actor ? ' by ' + actor.name : ''}${reason ? '\nReason: ' + reason : ''}`
+  );
+  
+  const language = getLanguage(request.userId);
+  try {
+    await bot.telegram.sendMessage(
+      request.userId,
+      t(language, 'withdraw.rejected', { amount: request.amount }) + (reason ? t(language, 'common.reason', { reason }) : '')
+    );
+  } catch (error) {
+    logNotificationFailure('user', error);
+  }
+  
+  return true;
+}
+
+function findPayoutBatch(id) {
+  return db.data.payoutBatches.find(batch => batch.id === id);
+}
+
+// Collects approved withdrawals that aren't in a batch yet, or null if there are none
+async function createPayoutBatch(actor) {
+  const requests = db.data.withdraws.filter(w => w.status === 'approved' && !w.batchId);
+  if (requests.length === 0) return null;
+  
+  const batch = {
+    id: nanoid(8),
+    withdrawIds: requests.map(request => request.id),
+    total: requests.reduce((sum, request) => sum + (request.netAmount ?? request.amount), 0),
+    status: 'open',
+    createdBy: actor,
+    createdAt: new Date().toISOString()
+  };
+  requests.forEach(request => {
+    request.batchId = batch.id;
+  });
+  db.data.payoutBatches.push(batch);
+  recordAudit(actor, 'payout_batch_create', { batchId: batch.id }, null, { withdrawIds: batch.withdrawIds, total: batch.total });
+  await saveDB();
+  
+  return batch;
+}
+
+// One file per payment method, with the columns that method's payout needs
+async function createPayoutFiles(batch, format) {
+  const requests = batch.withdrawIds.map(findWithdrawRequest).filter(Boolean);
+  const files = [];
+  for (const [method, { fields }] of Object.entries(PAYOUT_METHODS)) {
+    const methodRequests = requests.filter(request => request.paymentMethod === method);
+    if (methodRequests.length === 0) continue;
+    
+    const headers = ['Withdraw ID', 'User ID', 'User', 'Amount', 'Fee', 'Pay amount',
+      ...fields.map(field => t(DEFAULT_LANGUAGE, `payoutField.${field}.label`))];
+    const rows = methodRequests.map(request => [
+      request.id,
+      request.userId,
+      findUserById(request.userId)?.name,
+      request.amount,
+      request.fee || 0,
+      request.netAmount ?? request.amount,
+      ...fields.map(field => request.destination?.[field] || '')
+    ]);
+    files.push({
+      method,
+      count: rows.length,
+      total: methodRequests.reduce((sum, request) => sum + (request.netAmount ?? request.amount), 0),
+      file: await createExportFile(headers, rows, format),
+      filename: `payout_${batch.id}_${method.toLowerCase()}.${format}`
+    });
+  }
+  return files;
+}
+
+// Moves the batch's approved withdrawals to paid and tells each user
+async function markPayoutBatchPaid(batchId, actor = null) {
+  const batch = findPayoutBatch(batchId);
+  if (!batch || batch.status !== 'open') return null;
+  
+  const now = new Date().toISOString();
+  const requests = batch.withdrawIds
+    .map(findWithdrawRequest)
+    .filter(request => request?.status === 'approved');
+  requests.forEach(request => {
+    request.status = 'paid';
+    request.paidAt = now;
+    request.paidBy = actor;
+    request.updatedAt = now;
+  });
+  batch.status = 'paid';
+  batch.paidAt = now;
+  batch.paidBy = actor;
+  recordAudit(actor, 'payout_batch_paid', { batchId: batch.id }, { status: 'open' }, { status: 'paid', withdrawIds: requests.map(request => request.id) });
+  await saveDB();
+  
+  for (const request of requests) {
+    const language = getLanguage(request.userId);
+    try {
+      await bot.telegram.sendMessage(
+        request.userId,
+        t(language, 'withdraw.paid', { amount: request.netAmount ?? request.amount, method: request.paymentMethod })
+      );
+    } catch (error) {
+      logNotificationFailure('user', error, request.userId);
+    }
+  }
+  
+  return requests;
+}
+
+function findFlag(id) {
+  return db.data.flags.find(flag => flag.id === id);
+}
+
+function findOpenFlags(userId) {
+  return db.data.flags.filter(flag => flag.userId === userId && flag.status === 'open');
+}
+
+// Adds a flag to the review queue and alerts finance admins. User-level flags are
+// skipped while the same kind is open or was reviewed in the last FRAUD_RECHECK_DAYS.
+async function raiseFlag(type, userId, details, refs = {}) {
+  if (!refs.withdrawId && !refs.purchaseId) {
+    const recheckAfter = new Date(Date.now() - FRAUD_RECHECK_DAYS * DAY_MS).toISOString();
+    const duplicate = db.data.flags.some(flag =>
+      flag.userId === userId && flag.type === type && (flag.status === 'open' || flag.reviewedAt > recheckAfter)
+    );
+    if (duplicate) return null;
+  }
+  
+  const flag = {
+    id: nanoid(8),
+    type: type,
+    userId: userId,
+    details: details,
+    ...refs,
+    status: 'open',
+    createdAt: new Date().toISOString()
+  };
+  db.data.flags.push(flag);
+  await saveDB();
+  
+  const user = findUserById(userId);
+  await notifyAdmins(
+    'finance',
+    `🚩 Fraud flag: ${FLAG_TYPES[type]}\n\n` +
+    `User: ${user?.name || userId} (ID: ${userId})\n` +
+    `${details}\n\n` +
+    `Review it with /flags`
+  );
+  
+  return flag;
+}
+
+async function checkReferralFraud(referrer) {
+  if (!referrer) return;
+  
+  const referrals = findReferrals(referrer);
+  const burstStart = new Date(Date.now() - FRAUD_BURST_MINUTES * 60 * 1000).toISOString();
+  const recentSignups = referrals.filter(referral => referral.createdAt >= burstStart).length;
+  if (recentSignups >= FRAUD_BURST_SIGNUPS) {
+    await raiseFlag('signup_burst', referrer.id, `${recentSignups} signups in the last ${FRAUD_BURST_MINUTES} minutes`);
+  }
+  
+  if (referrals.length >= FRAUD_DOWNLINE_MIN && !referrals.some(referral => referral.package)) {
+    await raiseFlag('dead_downline', referrer.id, `${referrals.length} referrals and none bought a package`);
+  }
+}
+
+function getWithdrawHoldReason(user, amount) {
+  if (user.fraudConfirmed || findOpenFlags(user.id).length > 0) {
+    return { type: 'flagged_user_withdrawal', details: user.fraudConfirmed ? 'User was confirmed as fraudulent' : 'User has open fraud flags' };
+  }
+  
+  const { holdAbove } = getWithdrawPolicy();
+  if (holdAbove > 0 && amount > holdAbove) {
+    return { type: 'large_withdrawal', details: `${amount} ETB is above the ${holdAbove} ETB review threshold` };
+  }
+  
+  const lastCommission = getLedgerEntries(user.id)
+    .filter(entry => entry.type === 'commission' || entry.type === 'renewal_commission')
+    .at(-1);
+  const hoursSince = lastCommission && (Date.now() - new Date(lastCommission.createdAt)) / (60 * 60 * 1000);
+  if (lastCommission && hoursSince < FRAUD_WITHDRAW_HOURS) {
+    return { type: 'quick_withdrawal', details: `Requested ${Math.floor(hoursSince * 60)} minutes after a ${lastCommission.amount} ETB commission` };
+  }
+  
+  return null;
+}
+
+// Dismissing a flag releases what it held: the withdrawal goes to finance for
+// approval and withheld commission is paid. Confirming it rejects the withdrawal,
+// keeps the commission unpaid and holds the user's future withdrawals.
+async function resolveFlag(flagId, resolution, actor = null) {
+  const flag = findFlag(flagId);
+  if (!flag || flag.status !== 'open') return false;
+  
+  flag.status = resolution;
+  flag.reviewedBy = actor;
+  flag.reviewedAt = new Date().toISOString();
+  
+  const user = findUserById(flag.userId);
+  if (resolution === 'confirmed' && user) {
+    user.fraudConfirmed = true;
+  }
+  
+  const purchase = flag.purchaseId && db.data.purchases.find(p => p.id === flag.purchaseId);
+  if (purchase?.commissionHeld) {
+    delete purchase.commissionHeld;
+    if (resolution === 'dismissed') {
+      await payCommissions(purchase, findUserById(purchase.userId));
+    } else {
+      purchase.commissionWithheld = true;
+    }
+  }
+  recordAudit(actor, resolution === 'confirmed' ? 'flag_confirm' : 'flag_dismiss',
+    { userId: flag.userId, flagId: flag.id, ...(flag.purchaseId && { purchaseId: flag.purchaseId }), ...(flag.withdrawId && { withdrawId: flag.withdrawId }) },
+    { status: 'open' }, { status: resolution });
+  await saveDB();
+  
+  const request = flag.withdrawId && findWithdrawRequest(flag.withdrawId);
+  if (request?.status === 'held') {
+    request.status = 'pending';
+    request.updatedAt = new Date().toISOString();
+    if (resolution === 'dismissed') {
+      await notifyNewWithdrawRequest(request);
+    } else {
+      await rejectWithdrawRequest(request.id, 'Rejected after review', actor);
+    }
+  }
+  
+  return true;
+}
+
+// Campaigns apply to purchases confirmed between startsAt and endsAt, on the
+// listed packages or on all packages when none are listed
+function getActiveCampaigns(packageName, at = new Date()) {
+  return db.data.campaigns.filter(campaign =>
+    !campaign.canceledAt &&
+    new Date(campaign.startsAt) <= at && at <= new Date(campaign.endsAt) &&
+    (campaign.packages.length === 0 || packageName === undefined || campaign.packages.includes(packageName))
+  );
+}
+
+// Multipliers apply before flat bonuses, so overlapping campaigns don't depend on creation order
+function applyCampaigns(commission, campaigns) {
+  let amount = commission;
+  campaigns.filter(c => c.type === 'multiplier').forEach(c => { amount *= c.value; });
+  campaigns.filter(c => c.type === 'bonus').forEach(c => { amount += c.value; });
+  return Math.round(amount);
+}
+
+// "x1.5" is a multiplier and "+200" a flat ETB bonus on the package commission
+function parseCampaignEffect(text) {
+  const match = /^([x+])(\d+(\.\d+)?)$/i.exec(text);
+  if (!match || parseFloat(match[2]) <= 0) return null;
+  return match[1] === '+'
+    ? { type: 'bonus', value: Math.round(parseFloat(match[2])) }
+    : { type: 'multiplier', value: parseFloat(match[2]) };
+}
+
+function formatCampaign(campaign, language = DEFAULT_LANGUAGE) {
+  const effect = campaign.type === 'multiplier'
+    ? t(language, 'campaign.multiplier', { value: campaign.value })
+    : t(language, 'campaign.bonus', { amount: campaign.value });
+  return t(language, 'campaign.item', {
+    name: campaign.name,
+    effect,
+    packages: campaign.packages.length ? campaign.packages.join(', ') : t(language, 'campaign.allPackages'),
+    start: new Date(campaign.startsAt).toLocaleDateString(),
+    end: new Date(campaign.endsAt).toLocaleDateString()
+  });
+}
+
+// Announces campaigns once they start. Runs every minute.
+async function announceCampaigns() {
+  const started = getActiveCampaigns().filter(campaign => !campaign.announcedAt);
+  for (const campaign of started) {
+    campaign.announcedAt = new Date().toISOString();
+    await saveDB();
+    
+    const recipients = users.all().filter(user => !user.inactive);
+    const sent = await sendToUsers(recipients, user => t(user.language, 'campaign.announce', {
+      campaign: formatCampaign(campaign, user.language)
+    }));
+    await notifyAdmins('sales', `🎉 Campaign ${campaign.name} started and was announced to ${sent} users.`);
+  }
+}
+
+async function confirmPurchase(userId, packageName, actor = null) {
+  const user = findUserById(userId);
+  const packageDetails = findPackage(packageName);
+  if (!user || !packageDetails) return false;
+  
+  // Upgrades cost and pay out only the difference to the current package and
+  // keep its expiry. Renewals extend the term and pay the renewal commission.
+  const change = getPackageChange(user, packageDetails);
+  if (change?.kind === 'downgrade' || isExpiredUpgrade(change)) return false;
+  const upgrade = change?.kind === 'upgrade' ? change : null;
+  const pendingPurchase = findPendingPurchase(userId, packageName);
+  const renewal = change?.kind === 'same' && Boolean(pendingPurchase?.renewal);
+  
+  const isRepeat = !upgrade && !renewal &&
+    (Boolean(user.package) || db.data.purchases.some(purchase => purchase.userId === userId && !purchase.refundedAt));
+  const previousPackage = user.package;
+  
+  // Snapshot price and commission so later package edits don't rewrite history.
+  // Campaigns running now adjust the commission and are recorded with it.
+  const campaigns = getActiveCampaigns(packageName);
+  const baseCommission = renewal
+    ? packageDetails.renewalCommission
+    : upgrade ? upgrade.commission : packageDetails.commission;
+  const confirmedAt = new Date().toISOString();
+  const renewFrom = new Date(Math.max(Date.now(), new Date(user.packageExpiresAt || 0).getTime()));
+  const purchase = {
+    id: pendingPurchase?.id || nanoid(8),
+    userId: userId,
+    package: packageName,
+    price: upgrade ? upgrade.price : packageDetails.price,
+    commission: applyCampaigns(baseCommission, campaigns),
+    confirmedBy: actor,
+    confirmedAt: confirmedAt,
+    expiresAt: renewal
+      ? getPackageExpiry(packageDetails, renewFrom)
+      : upgrade ? user.packageExpiresAt : getPackageExpiry(packageDetails, confirmedAt)
+  };
+  if (upgrade) {
+    purchase.upgradeFrom = upgrade.from;
+    purchase.upgradeFromCommission = upgrade.fromCommission;
+  }
+  if (renewal) {
+    purchase.renewal = true;
+  }
+  if (campaigns.length > 0) {
+    purchase.baseCommission = baseCommission;
+    purchase.campaigns = campaigns.map(({ id, name, type, value }) => ({ id, name, type, value }));
+  }
+  db.data.purchases.push(purchase);
+  setUserPackage(user, packageName, {
+    reason: renewal ? 'renewal' : upgrade ? 'upgrade' : 'purchase',
+    purchaseId: purchase.id,
+    actor,
+    confirmedAt: purchase.confirmedAt,
+    expiresAt: purchase.expiresAt
+  });
+  recordAudit(actor, 'purchase_confirm', { userId, purchaseId: purchase.id },
+    { package: previousPackage },
+    { package: packageName, price: purchase.price, commission: purchase.commission });
+  
+  // Remove from pending purchases before any await so a second tap finds nothing to confirm
+  db.data.pendingPurchases = db.data.pendingPurchases.filter(
+    pending => !(pending.userId === userId && pending.package === packageName)
+  );
+  
+  // A user who already has a package shouldn't earn their upline commission
+  // again; hold it until the flag is reviewed
+  if (isRepeat) {
+    purchase.commissionHeld = true;
+    await raiseFlag('repeat_confirmation', userId, `${packageName} confirmed again, commission held`, { purchaseId: purchase.id });
+  } else if (renewal) {
+    await payRenewalCommission(purchase, user);
+  } else {
+    await payCommissions(purchase, user);
+  }
+  
+  await saveDB();
+  
+  if (pendingPurchase) {
+    await closeModerationMessages(
+      pendingPurchase.adminMessages,
+      formatPurchaseNotification(pendingPurchase),
+      `✅ Confirmed${actor ? ' by ' + actor.name : ''}`
+    );
+  }
+  
+  try {
+    await bot.telegram.sendMessage(
+      userId,
+      renewal
+        ? t(getLanguage(userId), 'purchase.renewed', { package: packageName, date: new Date(purchase.expiresAt).toLocaleDateString() })
+        : upgrade
+          ? t(getLanguage(userId), 'purchase.upgraded', { from: upgrade.from, package: packageName })
+          : t(getLanguage(userId), 'purchase.confirmed', { package: packageName })
+    );
+  } catch (error) {
+    logNotificationFailure('user', error);
+  }
+  
+  return true;
+}
+
+// Pays referral commission on a purchase to each level of the buyer's referral
+// chain, then any milestone bonus the direct referrer reached with it
+async function payCommissions(purchase, user) {
+  const chain = getReferralChain(user);
+  const campaignNames = purchase.campaigns?.map(campaign => campaign.name).join(', ');
+  
+  for (const [index, referrer] of chain.entries()) {
+    const level = index + 1;
+    const tier = REFERRAL_TIERS[index];
+    // An upgrade tops up what the old package paid: each level gets its tier of
+    // the new commission less its tier of the old one, so fixed tiers pay nothing
+    const amount = purchase.upgradeFrom
+      ? calculateTierCommission(tier, purchase.upgradeFromCommission + purchase.commission) -
+        calculateTierCommission(tier, purchase.upgradeFromCommission)
+      : calculateTierCommission(tier, purchase.commission);
+    if (amount <= 0) continue;
+    
+    const commission = {
+      id: nanoid(8),
+      userId: referrer.id,
+      fromUserId: user.id,
+      purchaseId: purchase.id,
+      package: purchase.package,
+      level: level,
+      amount: amount,
+      createdAt: new Date().toISOString()
+    };
+    db.data.commissions.push(commission);
+    // A negative balance left by a clawback is paid off before anything becomes withdrawable
+    const debt = Math.max(0, -referrer.balance);
+    postLedgerEntry(referrer, 'commission', amount, { purchaseId: purchase.id, commissionId: commission.id, level });
+    
+    const language = getLanguage(referrer.id);
+    try {
+      await bot.telegram.sendMessage(
+        referrer.id,
+        t(language, 'commission.earned', { amount, level, name: user.name, package: purchase.package }) +
+        (purchase.upgradeFrom ? t(language, 'commission.upgrade', { from: purchase.upgradeFrom }) : '') +
+        (campaignNames ? t(language, 'commission.campaign', { names: campaignNames }) : '') +
+        (debt > 0 ? t(language, 'commission.debtPaid', { amount: Math.min(debt, amount) }) : '')
+      );
+    } catch (error) {
+      logNotificationFailure('referrer', error);
+    }
+  }
+  
+  // An upgrading referral was already counted when they first bought
+  if (!purchase.upgradeFrom) {
+    await payMilestoneBonus(purchase, user);
+  }
+}
+
+// Renewals pay only the direct referrer, who brought the customer in originally
+async function payRenewalCommission(purchase, user) {
+  const referrer = user.referredBy && findUserByReferralCode(user.referredBy);
+  if (!referrer || purchase.commission <= 0) return;
+  
+  const commission = {
+    id: nanoid(8),
+    userId: referrer.id,
+    fromUserId: user.id,
+    purchaseId: purchase.id,
+    package: purchase.package,
+    level: 1,
+    amount: purchase.commission,
+    renewal: true,
+    createdAt: new Date().toISOString()
+  };
+  db.data.commissions.push(commission);
+  const debt = Math.max(0, -referrer.balance);
+  postLedgerEntry(referrer, 'renewal_commission', commission.amount, { purchaseId: purchase.id, commissionId: commission.id });
+  
+  const language = getLanguage(referrer.id);
+  try {
+    await bot.telegram.sendMessage(
+      referrer.id,
+      t(language, 'commission.renewal', { amount: commission.amount, name: user.name, package: purchase.package }) +
+      (debt > 0 ? t(language, 'commission.debtPaid', { amount: Math.min(debt, commission.amount) }) : '')
+    );
+  } catch (error) {
+    logNotificationFailure('referrer', error);
+  }
+}
+
+// Milestones pay when the referrer's Nth direct referral with a standing purchase
+// buys. The bonus is a commission on that purchase, so refunding it reverses the
+// bonus and the milestone can be reached again.
+async function payMilestoneBonus(purchase, user) {
+  const referrer = user.referredBy && findUserByReferralCode(user.referredBy);
+  if (!referrer) return;
+  
+  const converted = findReferrals(referrer).filter(
+    ref => db.data.purchases.some(p => p.userId === ref.id && !p.refundedAt)
+  ).length;
+  const milestone = db.data.milestones.find(m => m.referrals === converted);
+  if (!milestone) return;
+  
+  const alreadyPaid = db.data.commissions.some(
+    c => c.userId === referrer.id && c.milestone === milestone.referrals && !c.reversedAt
+  );
+  if (alreadyPaid) return;
+  
+  const commission = {
+    id: nanoid(8),
+    userId: referrer.id,
+    fromUserId: user.id,
+    purchaseId: purchase.id,
+    package: purchase.package,
+    level: 1,
+    amount: milestone.bonus,
+    milestone: milestone.referrals,
+    createdAt: new Date().toISOString()
+  };
+  db.data.commissions.push(commission);
+  postLedgerEntry(referrer, 'milestone_bonus', milestone.bonus, { purchaseId: purchase.id, commissionId: commission.id });
+  
+  try {
+    await bot.telegram.sendMessage(
+      referrer.id,
+      t(getLanguage(referrer.id), 'milestone.reached', { count: milestone.referrals, amount: milestone.bonus })
+    );
+  } catch (error) {
+    logNotificationFailure('referrer', error);
+  }
+}
+
+// Users submit their own purchases; the actor is only set when an admin adds one
+async function createPendingPurchase(userId, packageName, note = '', proof = null, actor = null) {
+  const user = findUserById(userId);
+  const change = getPackageChange(user, findPackage(packageName));
+  const pendingPurchase = {
+    id: nanoid(8),
+    userId: userId,
+    package: packageName,
+    note: note,
+    proof: proof,
+    createdAt: new Date().toISOString()
+  };
+  if (change?.kind === 'upgrade') {
+    pendingPurchase.upgradeFrom = change.from;
+  } else if (change?.kind === 'same' && user.packageExpiresAt) {
+    pendingPurchase.renewal = true;
+  }
+  
+  db.data.pendingPurchases.push(pendingPurchase);
+  if (actor) {
+    recordAudit(actor, 'purchase_add_pending', { userId, purchaseId: pendingPurchase.id },
+      { pending: null }, { pending: packageName, note });
+  }
+  await saveDB();
+  
+  return pendingPurchase;
+}
+
+async function rejectPendingPurchase(purchaseId, reason = '', actor = null) {
+  const pendingPurchase = findPendingPurchaseById(purchaseId);
+  if (!pendingPurchase) return false;
+  
+  db.data.pendingPurchases = db.data.pendingPurchases.filter(purchase => purchase.id !== purchaseId);
+  recordAudit(actor, 'purchase_reject', { userId: pendingPurchase.userId, purchaseId },
+    { pending: pendingPurchase.package }, { pending: null, reason });
+  await saveDB();
+  
+  await closeModerationMessages(
+    pendingPurchase.adminMessages,
+    formatPurchaseNotification(pendingPurchase),
+    `❌ Rejected${actor ? ' by ' + actor.name : ''}${reason ? '\nReason: ' + reason : ''}`
+  );
+  
+  const language = getLanguage(pendingPurchase.userId);
+  try {
+    await bot.telegram.sendMessage(
+      pendingPurchase.userId,
+      t(language, 'purchase.rejected', { package: pendingPurchase.package }) + (reason ? t(language, 'common.reason', { reason }) : '')
+    );
+  } catch (error) {
+    logNotificationFailure('user', error);
+  }
+  
+  return true;
+}
+
+// An upgrade is only charged the difference, so the purchase it builds on can't
+// be refunded while the upgrade stands
+function findUpgradeBuiltOn(purchase) {
+  const later = db.data.purchases.slice(db.data.purchases.indexOf(purchase) + 1);
+  return later.find(p => p.userId === purchase.userId && p.upgradeFrom && !p.refundedAt);
+}
+
+// Revokes a confirmed purchase and claws back the commission paid on it. Referrers
+// who already withdrew the money go into a negative balance that later
+// commissions pay off first.
+async function refundPurchase(purchaseId, reason = '', actor = null) {
+  const purchase = db.data.purchases.find(p => p.id === purchaseId);
+  if (!purchase || purchase.refundedAt || findUpgradeBuiltOn(purchase)) return false;
+  
+  purchase.refundedAt = new Date().toISOString();
+  purchase.refundedBy = actor;
+  purchase.refundReason = reason;
+  delete purchase.commissionHeld;
+  
+  // Fall back to the user's latest purchase that still stands
+  const user = findUserById(purchase.userId);
+  const previousPackage = user?.package;
+  if (user) {
+    const standing = db.data.purchases.filter(p => p.userId === user.id && !p.refundedAt).at(-1);
+    setUserPackage(user, standing?.package || null, {
+      reason: 'refund',
+      purchaseId: purchase.id,
+      actor,
+      confirmedAt: standing?.confirmedAt,
+      expiresAt: standing && (standing.expiresAt ?? getPackageExpiry(findPackage(standing.package), standing.confirmedAt))
+    });
+  }
+  
+  const clawbacks = db.data.commissions
+    .filter(commission => commission.purchaseId === purchase.id && !commission.reversedAt)
+    .map(commission => {
+      commission.reversedAt = purchase.refundedAt;
+      const referrer = findUserById(commission.userId);
+      if (referrer) {
+        postLedgerEntry(referrer, 'commission_clawback', -commission.amount, {
+          purchaseId: purchase.id,
+          commissionId: commission.id,
+          ...(!commission.milestone && { level: commission.level })
+        });
+      }
+      return { commission, referrer };
+    });
+  recordAudit(actor, 'purchase_refund', { userId: purchase.userId, purchaseId: purchase.id },
+    { package: previousPackage },
+    { package: user?.package, reason, clawedBack: clawbacks.reduce((sum, { commission }) => sum + commission.amount, 0) });
+  await saveDB();
+  
+  const language = getLanguage(purchase.userId);
+  try {
+    await bot.telegram.sendMessage(
+      purchase.userId,
+      (purchase.renewal && user?.package
+        ? t(language, 'purchase.renewalRefunded', { package: purchase.package, date: new Date(user.packageExpiresAt).toLocaleDateString() })
+        : purchase.upgradeFrom && user?.package
+          ? t(language, 'purchase.upgradeRefunded', { package: purchase.package, current: user.package })
+          : t(language, 'purchase.refunded', { package: purchase.package })) +
+      (reason ? t(language, 'common.reason', { reason }) : '')
+    );
+  } catch (error) {
+    logNotificationFailure('user', error);
+  }
+  
+  for (const { commission, referrer } of clawbacks) {
+    if (!referrer) continue;
+    
+    const referrerLanguage = getLanguage(referrer.id);
+    const balanceNote = t(referrerLanguage, referrer.balance < 0 ? 'commission.debtNote' : 'commission.balanceNow', { balance: referrer.balance });
+    try {
+      const params = {
+        amount: commission.amount,
+        level: commission.level,
+        count: commission.milestone,
+        name: user?.name || purchase.userId,
+        package: purchase.package
+      };
+      await bot.telegram.sendMessage(
+        referrer.id,
+        t(referrerLanguage, commission.milestone ? 'milestone.reversed' : 'commission.reversed', params) + balanceNote
+      );
+    } catch (error) {
+      logNotificationFailure('referrer', error);
+    }
+  }
+  
+  return { purchase, clawbacks };
+}
+
+function formatPurchaseNotification(pendingPurchase) {
+  const user = findUserById(pendingPurchase.userId);
+  const pkg = findPackage(pendingPurchase.package);
+  const proof = pendingPurchase.proof;
+  const upgradeFrom = pendingPurchase.upgradeFrom && findPackage(pendingPurchase.upgradeFrom);
+  
+  return `🧾 New package order:\n\n` +
+    `User: ${user?.name || pendingPurchase.userId} (ID: ${pendingPurchase.userId})\n` +
+    (upgradeFrom
+      ? `Upgrade: ${upgradeFrom.name} → ${pendingPurchase.package} — ${pkg?.price - upgradeFrom.price} ETB\n`
+      : `${pendingPurchase.renewal ? 'Renewal' : 'Package'}: ${pendingPurchase.package} — ${pkg?.price} ETB\n`) +
+    (proof?.type === 'reference' ? `Reference: ${proof.text}\n` : '') +
+    `Order ID: ${pendingPurchase.id}`;
+}
+
+// Sends the user's payment proof to sales admins with Confirm/Reject buttons
+async function forwardPurchaseProof(pendingPurchase) {
+  const proof = pendingPurchase.proof;
+  const caption = formatPurchaseNotification(pendingPurchase);
+  const keyboard = Markup.inlineKeyboard([moderationKeyboard('purchase', pendingPurchase.id)]);
+  
+  pendingPurchase.adminMessages = [];
+  for (const admin of getAdminsWithRole('sales')) {
+    try {
+      if (proof?.type === 'photo') {
+        const result = await bot.telegram.sendPhoto(admin.id, proof.fileId, { caption, ...keyboard });
+        pendingPurchase.adminMessages.push({ chatId: admin.id, messageId: result.message_id, isPhoto: true });
+      } else {
+        const result = await bot.telegram.sendMessage(admin.id, caption, keyboard);
+        pendingPurchase.adminMessages.push({ chatId: admin.id, messageId: result.message_id });
+      }
+    } catch (error) {
+      logNotificationFailure('admin', error, admin.id);
+    }
+  }
+  await saveDB();
+}
+
+// Paginated admin listings. Words given to the listing command either match
+// one of the listing's filters or are searched for in the entry's user name and IDs.
+const LISTINGS = {
+  user: {
+    title: '👥 Users',
+    empty: 'No users found.',
+    roles: [],
+    items: () => users.all(),
+    filter(word) {
+      const segment = parseSegmentFilter(word);
+      return segment && (user => matchesSegment(user, [segment]));
+    },
+    searchText: user => `${user.name} ${user.id}`,
+    format: user => `ID: ${user.id} | ${user.name} | ${user.package || 'No Package'}${user.packageExpired ? ' (expired)' : ''} | Balance: ${user.balance} ETB`,
+    buttons: user => [Markup.button.callback(`👤 ${user.name}`, `user:${user.id}`)]
+  },
+  purchase: {
+    title: '📦 Pending Purchases',
+    empty: 'No pending purchases.',
+    roles: [],
+    items: () => db.data.pendingPurchases,
+    filter(word) {
+      const segment = parseSegmentFilter(word);
+      if (segment?.type === 'package') return purchase => purchase.package === segment.value;
+      return segment === undefined ? undefined : null;
+    },
+    searchText: purchase => `${findUserById(purchase.userId)?.name || ''} ${purchase.userId} ${purchase.id}`,
+    format(purchase) {
+      const user = findUserById(purchase.userId);
+      const proof = purchase.proof?.type === 'photo' ? 'Receipt photo' : purchase.proof?.text || 'None';
+      const type = purchase.upgradeFrom ? ` (upgrade from ${purchase.upgradeFrom})` : purchase.renewal ? ' (renewal)' : '';
+      return `ID: ${purchase.id} | User: ${user?.name || purchase.userId} | Package: ${purchase.package}${type} | Proof: ${proof} | Note: ${purchase.note}`;
+    },
+    buttons: purchase => [userDetailButton(purchase.userId), ...moderationKeyboard('purchase', purchase.id, true)]
+  },
+  withdraw: {
+    title: '💳 Withdrawal Requests',
+    empty: 'No withdrawal requests.',
+    roles: ['finance'],
+    items: () => [...db.data.withdraws].reverse(),
+    filter(word) {
+      const value = word.toLowerCase();
+      if (WITHDRAW_STATUSES.includes(value)) return withdraw => withdraw.status === value;
+      if (Object.keys(PAYOUT_METHODS).some(method => method.toLowerCase() === value)) {
+        return withdraw => withdraw.paymentMethod?.toLowerCase() === value;
+      }
+      return undefined;
+    },
+    searchText: withdraw => `${findUserById(withdraw.userId)?.name || ''} ${withdraw.userId} ${withdraw.id}`,
+    format(withdraw) {
+      const user = findUserById(withdraw.userId);
+      const handledBy = withdraw.handledBy ? ` by ${withdraw.handledBy.name}` : '';
+      const destination = withdraw.destination ? ` (${formatPayoutDestination(withdraw.paymentMethod, withdraw.destination, ', ')})` : '';
+      const fee = withdraw.fee ? ` (fee ${withdraw.fee} ETB)` : '';
+      const batch = withdraw.batchId ? ` | Batch: ${withdraw.batchId}` : '';
+      return `ID: ${withdraw.id} | User: ${user?.name || withdraw.userId} | Amount: ${withdraw.amount} ETB${fee} | Method: ${withdraw.paymentMethod}${destination} | Status: ${withdraw.status}${handledBy}${batch}`;
+    },
+    buttons: withdraw => withdraw.status === 'pending'
+      ? [userDetailButton(withdraw.userId), ...moderationKeyboard('withdraw', withdraw.id, true)]
+      : [userDetailButton(withdraw.userId)]
+  },
+  flag: {
+    title: '🚩 Fraud Flags',
+    empty: 'No flags.',
+    roles: ['finance'],
+    items: () => [...db.data.flags].reverse(),
+    filter(word) {
+      const value = word.toLowerCase();
+      if (FLAG_STATUSES.includes(value)) return flag => flag.status === value;
+      if (FLAG_TYPES[value]) return flag => flag.type === value;
+      return undefined;
+    },
+    searchText: flag => `${findUserById(flag.userId)?.name || ''} ${flag.userId} ${flag.id}`,
+    format(flag) {
+      const user = findUserById(flag.userId);
+      const ref = flag.withdrawId ? ` | Withdraw: ${flag.withdrawId}` : flag.purchaseId ? ` | Purchase: ${flag.purchaseId}` : '';
+      const reviewedBy = flag.reviewedBy ? ` by ${flag.reviewedBy.name}` : '';
+      return `ID: ${flag.id} | User: ${user?.name || flag.userId} | ${FLAG_TYPES[flag.type]}: ${flag.details}${ref} | Status: ${flag.status}${reviewedBy}`;
+    },
+    buttons: flag => flag.status === 'open'
+      ? [
+        userDetailButton(flag.userId),
+        Markup.button.callback(`✅ Clear ${flag.id}`, `flag_dismiss:${flag.id}`),
+        Markup.button.callback(`🚫 Fraud ${flag.id}`, `flag_confirm:${flag.id}`)
+      ]
+      : [userDetailButton(flag.userId)]
+  },
+  audit: {
+    title: '🧾 Audit Log',
+    empty: 'No audit entries.',
+    roles: ['owner'],
+    items: () => [...db.data.audit].reverse(),
+    // /audit turns its arguments into target:<id> and days:<n>
+    filter(word) {
+      const [key, value] = word.split(':');
+      if (key === 'days') {
+        const days = parseInt(value);
+        return days > 0 ? entry => isSince(entry.createdAt, new Date(Date.now() - days * DAY_MS)) : null;
+      }
+      if (key === 'target' && value) {
+        return entry => Object.values(entry.refs || {}).some(ref => String(ref).toLowerCase() === value.toLowerCase());
+      }
+      return undefined;
+    },
+    searchText: entry => `${entry.action} ${entry.actor?.name || ''} ${entry.command || ''}`,
+    format(entry) {
+      const refs = Object.entries(entry.refs || {}).map(([key, value]) => `${key} ${value}`).join(', ');
+      const changes = formatAuditChanges(entry);
+      return `${new Date(entry.createdAt).toLocaleString()} | ${entry.actor?.name || 'System'} | ${entry.action}${refs ? ` (${refs})` : ''}` +
+        `${entry.command ? `\n   ${entry.command}` : ''}${changes ? `\n   ${changes}` : ''}`;
+    },
+    buttons: entry => entry.refs?.userId ? [userDetailButton(entry.refs.userId)] : []
+  }
+};
+
+function userDetailButton(userId) {
+  return Markup.button.callback(`👤 ${findUserById(userId)?.name || userId}`, `user:${userId}`);
+}
+
+// Returns a predicate for the query, or an error message when a filter word is invalid
+function parseListingQuery(listing, query) {
+  const predicates = [];
+  const search = [];
+  for (const word of query.split(/\s+/).filter(Boolean)) {
+    const predicate = listing.filter(word);
+    if (predicate === null) {
+      return { error: `❌ Invalid filter: ${word}` };
+    }
+    if (predicate) {
+      predicates.push(predicate);
+    } else {
+      search.push(word.toLowerCase());
+    }
+  }
+  
+  return {
+    matches: item => predicates.every(predicate => predicate(item)) &&
+      search.every(word => listing.searchText(item).toLowerCase().includes(word))
+  };
+}
+
+// Returns [message, keyboard, page] with the page clamped to the available range
+function renderListing(kind, query = '', page = 0) {
+  const listing = LISTINGS[kind];
+  const { matches, error } = parseListingQuery(listing, query);
+  if (error) {
+    return [error];
+  }
+  
+  const items = listing.items().filter(matches);
+  const pages = Math.max(1, Math.ceil(items.length / LIST_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pages - 1);
+  const pageItems = items.slice(page * LIST_PAGE_SIZE, (page + 1) * LIST_PAGE_SIZE);
+  
+  let message = `${listing.title}${query ? ` (${query})` : ''}:\n\n`;
+  pageItems.forEach(item => {
+    message += listing.format(item) + '\n';
+  });
+  message += items.length === 0 ? listing.empty : `\nPage ${page + 1}/${pages} | ${items.length} total`;
+  
+  const buttons = pageItems.map(item => listing.buttons(item)).filter(row => row.length > 0);
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('◀️ Prev', `listing_page:${page - 1}`));
+  if (page < pages - 1) navigation.push(Markup.button.callback('Next ▶️', `listing_page:${page + 1}`));
+  if (navigation.length > 0) buttons.push(navigation);
+  
+  return [message, Markup.inlineKeyboard(buttons), page];
+}
+
+// Replies with the first page of a listing, filtered by the command arguments
+async function sendListing(ctx, kind, defaultQuery = '') {
+  const query = ctx.message.text.split(' ').slice(1).join(' ').trim() || defaultQuery;
+  await replyWithListing(ctx, kind, query);
+}
+
+async function replyWithListing(ctx, kind, query) {
+  const [message, keyboard, page] = renderListing(kind, query);
+  const sent = await ctx.reply(message, keyboard);
+  if (keyboard) {
+    rememberListing(ctx.chat.id, sent.message_id, { kind, query, page });
+  }
+}
+
+function rememberListing(chatId, messageId, listing) {
+  const key = `${chatId}:${messageId}`;
+  listings.delete(key);
+  listings.set(key, listing);
+  if (listings.size > LISTINGS_KEPT) {
+    listings.delete(listings.keys().next().value);
+  }
+}
+
+// Re-renders a listing after one of its buttons was used, keeping its filter and page
+async function refreshListing(chatId, messageId, kind, page) {
+  const listing = listings.get(`${chatId}:${messageId}`) || { kind, query: '', page: 0 };
+  const [message, keyboard, shownPage] = renderListing(listing.kind, listing.query, page ?? listing.page);
+  rememberListing(chatId, messageId, { ...listing, page: shownPage });
+  try {
+    await bot.telegram.editMessageText(chatId, messageId, undefined, message, keyboard);
+  } catch (error) {
+    console.log('Could not refresh listing:', error.message);
+  }
+}
+
+async function submitOrder(ctx, packageName, proof) {
+  const pendingPurchase = await createPendingPurchase(ctx.from.id, packageName, '', proof);
+  await forwardPurchaseProof(pendingPurchase);
+  
+  await ctx.reply(ctx.t('order.submitted', { package: packageName }));
+}
+
+// Conversation flows. Conversations are stored in db.data.conversations so they
+// survive restarts. Each step has a prompt, a timeout in minutes and a handler
+// that returns the next step name, 'done' to finish, or nothing to ask again.
+// "cancel" and "back" are handled uniformly for every flow. Prompts get the
+// user's language; canceled and expired name messages in locales.js.
+const CONVERSATION_FLOWS = {
+  withdraw: {
+    canceled: 'withdraw.canceled',
+    expired: 'withdraw.expired',
+    steps: {
+      amount: {
+        timeout: 10,
+        prompt: (conversation, language) => t(language, 'withdraw.amountPrompt'),
+        async handle(ctx, text, conversation) {
+          const amount = parseInt(text);
+          if (isNaN(amount) || !text.endsWith('00')) {
+            await ctx.reply(ctx.t('withdraw.invalidAmount'));
+            return;
+          }
+          
+          const error = getWithdrawPolicyError(findUserById(ctx.from.id), amount);
+          if (error) {
+            await ctx.reply(ctx.t(error.key, error.params));
+            return 'done';
+          }
+          
+          conversation.data.amount = amount;
+          return 'method';
+        }
+      },
+      method: {
+        timeout: 10,
+        prompt: (conversation, language) => t(language, 'withdraw.methodPrompt', { methods: formatPayoutMethodChoices(language) }),
+        async handle(ctx, text, conversation) {
+          const paymentMethod = parsePayoutMethod(text);
+          if (!paymentMethod) {
+            await ctx.reply(ctx.t('withdraw.invalidMethod'));
+            return;
+          }
+          
+          const error = getWithdrawPolicyError(findUserById(ctx.from.id), conversation.data.amount, paymentMethod);
+          if (error) {
+            await ctx.reply(ctx.t(error.key, error.params));
+            return error.key === 'withdraw.feeTooHigh' ? undefined : 'done';
+          }
+          
+          conversation.data.paymentMethod = paymentMethod;
+          conversation.data.destination = {};
+          
+          if (getPayoutProfiles(ctx.from.id, paymentMethod).length > 0) {
+            return 'profile';
+          }
+          return PAYOUT_METHODS[paymentMethod].fields[0];
+        }
+      },
+      profile: {
+        timeout: 10,
+        prompt: (conversation, language) => {
+          const profiles = getPayoutProfiles(conversation.userId, conversation.data.paymentMethod);
+          let message = t(language, 'withdraw.profileTitle') + '\n';
+          profiles.forEach((profile, index) => {
+            message += `${index + 1}) ${formatPayoutDestination(profile.method, profile.details, ', ', language)}\n`;
+          });
+          message += t(language, 'withdraw.newDetails');
+          return message;
+        },
+        async handle(ctx, text, conversation) {
+          const { paymentMethod } = conversation.data;
+          const choice = parseInt(text);
+          if (choice === 0) {
+            return PAYOUT_METHODS[paymentMethod].fields[0];
+          }
+          
+          const profile = getPayoutProfiles(ctx.from.id, paymentMethod)[choice - 1];
+          if (!profile) {
+            await ctx.reply(ctx.t('withdraw.invalidProfile'));
+            return;
+          }
+          
+          conversation.data.destination = { ...profile.details };
+          return submitWithdrawal(ctx, conversation);
+        }
+      },
+      ...payoutFieldSteps(),
+      save: {
+        timeout: 10,
+        prompt: (conversation, language) => t(language, 'withdraw.savePrompt', {
+          details: formatPayoutDestination(conversation.data.paymentMethod, conversation.data.destination, '\n', language)
+        }),
+        async handle(ctx, text, conversation) {
+          const answer = text.toLowerCase();
+          if (!['yes', 'y', 'no', 'n'].includes(answer)) {
+            await ctx.reply(ctx.t('withdraw.yesNo'));
+            return;
+          }
+          
+          if (answer.startsWith('y')) {
+            await savePayoutProfile(ctx.from.id, conversation.data.paymentMethod, conversation.data.destination);
+          }
+          return submitWithdrawal(ctx, conversation);
+        }
+      }
+    }
+  },
+  
+  payout: {
+    canceled: 'payout.canceled',
+    expired: 'payout.expired',
+    steps: {
+      method: {
+        timeout: 10,
+        prompt: (conversation, language) => t(language, 'payout.methodPrompt', { methods: formatPayoutMethodChoices() }),
+        async handle(ctx, text, conversation) {
+          const paymentMethod = parsePayoutMethod(text);
+          if (!paymentMethod) {
+            await ctx.reply(ctx.t('withdraw.invalidMethod'));
+            return;
+          }
+          
+          conversation.data.paymentMethod = paymentMethod;
+          conversation.data.destination = {};
+          return PAYOUT_METHODS[paymentMethod].fields[0];
+        }
+      },
+      ...payoutFieldSteps()
+    }
+  },
+  
+  order: {
+    canceled: 'order.canceled',
+    expired: 'order.expired',
+    steps: {
+      proof: {
+        timeout: 24 * 60,
+        prompt: (conversation, language) => {
+          const pkg = findPackage(conversation.data.package);
+          const change = getPackageChange(findUserById(conversation.userId), pkg);
+          const upgrade = change?.kind === 'upgrade' ? change : null;
+          return t(language, 'order.proofPrompt', {
+            name: upgrade
+              ? `${upgrade.from} → ${pkg.name}`
+              : change?.kind === 'same' ? t(language, 'renew.name', { package: pkg.name }) : pkg.name,
+            price: upgrade ? upgrade.price : pkg.price,
+            instructions: PAYMENT_INSTRUCTIONS
+          });
+        },
+        async handle(ctx, text, conversation) {
+          const photos = ctx.message.photo;
+          if (photos) {
+            const photo = photos[photos.length - 1];
+            await submitOrder(ctx, conversation.data.package, { type: 'photo', fileId: photo.file_id, caption: ctx.message.caption || '' });
+            return 'done';
+          }
+          
+          if (text.length < 4) {
+            await ctx.reply(ctx.t('order.invalidProof'));
+            return;
+          }
+          
+          await submitOrder(ctx, conversation.data.package, { type: 'reference', text: text });
+          return 'done';
+        }
+      }
+    }
+  },
+  
+  reject: {
+    canceled: 'reject.canceled',
+    expired: 'reject.expired',
+    steps: {
+      reason: {
+        timeout: 30,
+        prompt: (conversation) => `✏️ Send the reason for rejecting ${conversation.data.targetId}, "-" for no reason, or "cancel" to abort.`,
+        async handle(ctx, text, conversation) {
+          const { kind, targetId, listMessageId } = conversation.data;
+          const reason = text === '-' ? '' : text;
+          const success = kind === 'withdraw'
+            ? await rejectWithdrawRequest(targetId, reason, getActor(ctx.from, `${kind}_reject:${targetId}`))
+            : await rejectPendingPurchase(targetId, reason, getActor(ctx.from, `${kind}_reject:${targetId}`));
+          
+          if (success && listMessageId) {
+            await refreshListing(ctx.from.id, listMessageId, kind);
+          }
+          
+          await ctx.reply(success ? '✅ Rejected.' : '❌ Request not found or already handled.');
+          return 'done';
+        }
+      }
+    }
+  }
+};
+
+// One step per payout field; after the last field withdrawals ask to save, /payout saves directly
+function payoutFieldSteps() {
+  const steps = {};
+  for (const [field, definition] of Object.entries(PAYOUT_FIELDS)) {
+    steps[field] = {
+      timeout: 10,
+      prompt: (conversation, language) => t(language, `payoutField.${field}.prompt`),
+      async handle(ctx, text, conversation) {
+        const { paymentMethod, destination } = conversation.data;
+        const value = definition.parse(text, paymentMethod);
+        if (!value) {
+          await ctx.reply(ctx.t('payout.retry', { error: ctx.t(`payoutField.${field}.error`) }));
+          return;
+        }
+        
+        destination[field] = value;
+        const fields = PAYOUT_METHODS[paymentMethod].fields;
+        const nextField = fields[fields.indexOf(field) + 1];
+        if (nextField) return nextField;
+        
+        if (conversation.flow === 'payout') {
+          await savePayoutProfile(ctx.from.id, paymentMethod, { ...destination });
+          await ctx.reply(ctx.t('payout.saved', { details: formatPayoutDestination(paymentMethod, destination, '\n', getLanguage(ctx.from.id)) }));
+          return 'done';
+        }
+        return 'save';
+      }
+    };
+  }
+  return steps;
+}
+
+async function submitWithdrawal(ctx, conversation) {
+  const { amount, paymentMethod, destination } = conversation.data;
+  
+  // The rules are checked again in case another request went in meanwhile
+  const error = getWithdrawPolicyError(findUserById(ctx.from.id), amount, paymentMethod);
+  if (error) {
+    await ctx.reply(ctx.t(error.key, error.params));
+    return 'done';
+  }
+  
+  const withdrawRequest = await createWithdrawRequest(ctx.from.id, amount, paymentMethod, destination);
+  
+  if (withdrawRequest) {
+    await ctx.reply(ctx.t('withdraw.submitted', {
+      amount,
+      method: paymentMethod,
+      details: formatPayoutDestination(paymentMethod, destination, '\n', getLanguage(ctx.from.id))
+    }) + (withdrawRequest.fee ? ctx.t('withdraw.feeNote', { fee: withdrawRequest.fee, net: withdrawRequest.netAmount }) : ''));
+    if (withdrawRequest.status === 'pending') {
+      await notifyNewWithdrawRequest(withdrawRequest);
+    }
+  } else {
+    await ctx.reply(ctx.t('withdraw.failed'));
+  }
+  
+  return 'done';
+}
+
+function findConversation(userId) {
+  return db.data.conversations.find(conversation => conversation.userId === userId);
+}
+
+function getStepExpiry(conversation) {
+  const step = CONVERSATION_FLOWS[conversation.flow].steps[conversation.step];
+  return new Date(Date.now() + (step.timeout || DEFAULT_STEP_TIMEOUT) * 60 * 1000).toISOString();
+}
+
+async function promptConversationStep(conversation) {
+  const step = CONVERSATION_FLOWS[conversation.flow].steps[conversation.step];
+  const language = getLanguage(conversation.userId);
+  let message = step.prompt(conversation, language);
+  if (conversation.history.length > 0) {
+    message += t(language, 'conversation.back');
+  }
+  
+  try {
+    await bot.telegram.sendMessage(conversation.userId, message);
+  } catch (error) {
+    logNotificationFailure('user', error, conversation.userId);
+  }
+}
+
+// Starting a flow replaces any conversation the user already had open
+async function startConversation(userId, flowName, data = {}) {
+  const conversation = {
+    userId: userId,
+    flow: flowName,
+    step: Object.keys(CONVERSATION_FLOWS[flowName].steps)[0],
+    data: data,
+    history: [],
+    createdAt: new Date().toISOString()
+  };
+  conversation.expiresAt = getStepExpiry(conversation);
+  
+  db.data.conversations = db.data.conversations.filter(c => c.userId !== userId);
+  db.data.conversations.push(conversation);
+  await saveDB();
+  
+  await promptConversationStep(conversation);
+}
+
+async function endConversation(userId) {
+  db.data.conversations = db.data.conversations.filter(conversation => conversation.userId !== userId);
+  await saveDB();
+}
+
+async function goToStep(conversation, step) {
+  conversation.step = step;
+  conversation.expiresAt = getStepExpiry(conversation);
+  await saveDB();
+  await promptConversationStep(conversation);
+}
+
+async function handleConversationInput(ctx) {
+  const userId = ctx.from.id;
+  const conversation = findConversation(userId);
+  if (!conversation || busyConversations.has(userId)) return;
+  
+  const flow = CONVERSATION_FLOWS[conversation.flow];
+  const text = (ctx.message.text || '').trim();
+  
+  if (new Date(conversation.expiresAt) < new Date()) {
+    await endConversation(userId);
+    return ctx.reply(ctx.t(flow.expired));
+  }
+  
+  if (text.toLowerCase() === 'cancel') {
+    await endConversation(userId);
+    return ctx.reply(ctx.t(flow.canceled));
+  }
+  
+  if (text.toLowerCase() === 'back' && conversation.history.length > 0) {
+    return goToStep(conversation, conversation.history.pop());
+  }
+  
+  busyConversations.add(userId);
+  try {
+    const next = await flow.steps[conversation.step].handle(ctx, text, conversation);
+    if (next === 'done') {
+      await endConversation(userId);
+    } else if (next) {
+      conversation.history.push(conversation.step);
+      await goToStep(conversation, next);
+    }
+  } finally {
+    busyConversations.delete(userId);
+  }
+}
+
+async function expireConversations() {
+  const now = new Date();
+  const expired = db.data.conversations.filter(conversation => new Date(conversation.expiresAt) < now);
+  if (expired.length === 0) return;
+  
+  db.data.conversations = db.data.conversations.filter(conversation => !expired.includes(conversation));
+  await saveDB();
+  
+  for (const conversation of expired) {
+    try {
+      await bot.telegram.sendMessage(conversation.userId, t(getLanguage(conversation.userId), CONVERSATION_FLOWS[conversation.flow].expired));
+    } catch (error) {
+      logNotificationFailure('user', error);
+    }
+  }
+}
+
+// Broadcast segments are leading /broadcast arguments such as package:VIP,
+// nopackage, refs:5 or joined:2026-01-01..2026-01-31. Returns null for a
+// token that looks like a filter but can't be parsed.
+function parseSegmentFilter(token) {
+  const [type, value] = token.split(/:(.*)/);
+  
+  if (token === 'all' || token === 'nopackage' || token === 'expired') {
+    return { type: token };
+  }
+  
+  if (type === 'package' && value) {
+    const pkg = findPackage(value);
+    return pkg ? { type, value: pkg.name } : null;
+  }
+  
+  if (type === 'refs' && value) {
+    const min = parseInt(value);
+    return isNaN(min) ? null : { type, min };
+  }
+  
+  if (type === 'joined' && value) {
+    const [from, to] = value.split('..');
+    if ([from, to].some(date => date && isNaN(new Date(date)))) {
+      return null;
+    }
+    const filter = { type };
+    if (from) filter.from = new Date(from).toISOString();
+    if (to) filter.to = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000).toISOString();
+    return filter;
+  }
+  
+  return undefined;
+}
+
+function matchesSegment(user, filters) {
+  return filters.every(filter => {
+    switch (filter.type) {
+      case 'package':
+        return user.package === filter.value;
+      case 'nopackage':
+        return !user.package;
+      case 'expired':
+        return Boolean(user.package && user.packageExpired);
+      case 'refs':
+        return findReferrals(user).length >= filter.min;
+      case 'joined':
+        return (!filter.from || user.createdAt >= filter.from) && (!filter.to || user.createdAt < filter.to);
+      default:
+        return true;
+    }
+  });
+}
+
+async function sendBroadcastContent(userId, content) {
+  const text = t(getLanguage(userId), 'broadcast.header') + (content.text ? '\n\n' + content.text : '');
+  
+  if (content.type === 'photo') {
+    return bot.telegram.sendPhoto(userId, content.fileId, { caption: text });
+  }
+  if (content.type === 'document') {
+    return bot.telegram.sendDocument(userId, content.fileId, { caption: text });
+  }
+  return bot.telegram.sendMessage(userId, text);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Returns the recipient's final status, waiting out Telegram rate limits
+async function deliverToUser(userId, send) {
+  while (true) {
+    try {
+      await send();
+      return 'sent';
+    } catch (error) {
+      const retryAfter = error.response?.parameters?.retry_after;
+      if (retryAfter) {
+        await sleep(retryAfter * 1000);
+        continue;
+      }
+      
+      logNotificationFailure('user', error, userId);
+      return error.response?.error_code === 403 ? 'blocked' : 'failed';
+    }
+  }
+}
+
+// Users who blocked the bot are skipped by future broadcasts and digests
+function markUserInactive(userId) {
+  const user = findUserById(userId);
+  if (user) {
+    user.inactive = true;
+    user.inactiveAt = new Date().toISOString();
+  }
+}
+
+// Sends each user their own text at the broadcast rate and returns how many were reached
+async function sendToUsers(users, buildMessage) {
+  let sent = 0;
+  for (const user of users) {
+    const status = await deliverToUser(user.id, () => bot.telegram.sendMessage(user.id, buildMessage(user)));
+    if (status === 'sent') {
+      sent++;
+    } else if (status === 'blocked') {
+      markUserInactive(user.id);
+    }
+    await sleep(1000 / BROADCAST_RATE);
+  }
+  await saveDB();
+  return sent;
+}
+
+// Sends to every recipient still pending, so an interrupted broadcast resumes where it stopped
+async function runBroadcast(broadcast) {
+  if (runningBroadcasts.has(broadcast.id)) return;
+  runningBroadcasts.add(broadcast.id);
+  
+  let sinceSave = 0;
+  for (const recipient of broadcast.recipients) {
+    if (recipient.status !== 'pending') continue;
+    
+    recipient.status = await deliverToUser(recipient.userId, () => sendBroadcastContent(recipient.userId, broadcast.content));
+    if (recipient.status === 'sent') {
+      broadcast.success++;
+    } else {
+      broadcast[recipient.status]++;
+    }
+    
+    if (recipient.status === 'blocked') {
+      markUserInactive(recipient.userId);
+    }
+    
+    if (++sinceSave >= BROADCAST_SAVE_EVERY) {
+      sinceSave = 0;
+      await saveDB();
+    }
+    await sleep(1000 / BROADCAST_RATE);
+  }
+  
+  broadcast.status = 'completed';
+  broadcast.completedAt = new Date().toISOString();
+  await saveDB();
+  runningBroadcasts.delete(broadcast.id);
+  
+  try {
+    await bot.telegram.sendMessage(
+      broadcast.createdBy,
+      `📢 Broadcast ${broadcast.id} finished. Sent: ${broadcast.success}, Failed: ${broadcast.failed}, Blocked: ${broadcast.blocked}`
+    );
+  } catch (error) {
+    logNotificationFailure('admin', error, broadcast.createdBy);
+  }
+}
+
+function resumeBroadcasts() {
+  db.data.admin.broadcasts
+    .filter(broadcast => broadcast.status === 'running')
+    .forEach(broadcast => {
+      console.log(`Resuming broadcast ${broadcast.id}...`);
+      runBroadcast(broadcast);
+    });
+}
+
+// Scheduled reports. Each covers the `days` before it runs and returns how
+// many messages it sent; settings live in db.data.admin.reports.
+const REPORTS = {
+  daily: { description: 'Daily summary for finance admins', days: 1, run: sendDailySummary },
+  digest: { description: 'Weekly earnings digest for users who opted in with /digest', days: 7, run: sendWeeklyDigests },
+  winners: { description: 'Weekly top referrers sent to every user', days: 7, run: sendWeeklyWinners },
+  renewals: { description: 'Renewal reminders, and marking expired packages', days: 1, run: sendRenewalReminders }
+};
+
+const reportJobs = new Map();
+
+function isSince(date, since) {
+  return Boolean(date) && new Date(date) >= since;
+}
+
+function buildDailySummary(since) {
+  const signups = users.all().filter(user => isSince(user.createdAt, since)).length;
+  
+  const sales = {};
+  db.data.purchases
+    .filter(purchase => isSince(purchase.confirmedAt, since) && !purchase.refundedAt)
+    .forEach(purchase => {
+      sales[purchase.package] ||= { count: 0, revenue: 0 };
+      sales[purchase.package].count++;
+      sales[purchase.package].revenue += purchase.price;
+    });
+  
+  const pending = db.data.withdraws.filter(w => w.status === 'pending' || w.status === 'held');
+  const held = pending.filter(w => w.status === 'held').length;
+  const pendingTotal = pending.reduce((sum, w) => sum + w.amount, 0);
+  const unpaid = db.data.withdraws.filter(w => w.status === 'approved');
+  const unpaidTotal = unpaid.reduce((sum, w) => sum + (w.netAmount ?? w.amount), 0);
+  
+  const commissions = db.data.commissions.filter(c => isSince(c.createdAt, since) && !c.reversedAt);
+  const commissionTotal = commissions.reduce((sum, c) => sum + c.amount, 0);
+  
+  let message = `📊 Daily summary since ${since.toLocaleString()}\n\n`;
+  message += `New signups: ${signups}\n\n`;
+  message += `Confirmed sales:\n`;
+  for (const [packageName, totals] of Object.entries(sales)) {
+    message += `${packageName}: ${totals.count} sales | Revenue: ${totals.revenue} ETB\n`;
+  }
+  if (Object.keys(sales).length === 0) {
+    message += 'No sales.\n';
+  }
+  message += `\nPending withdrawals: ${pending.length} | ${pendingTotal} ETB${held ? ` (${held} held for review)` : ''}\n`;
+  message += `Approved, awaiting payout: ${unpaid.length} | ${unpaidTotal} ETB\n`;
+  message += `Commissions paid: ${commissions.length} | ${commissionTotal} ETB`;
+  return message;
+}
+
+async function sendDailySummary(since) {
+  const sent = await notifyAdmins('finance', buildDailySummary(since));
+  return sent.length;
+}
+
+function buildWeeklyDigest(user, since) {
+  const referrals = findReferrals(user);
+  const referralIds = new Set(referrals.map(ref => ref.id));
+  const conversions = db.data.purchases.filter(
+    purchase => referralIds.has(purchase.userId) && isSince(purchase.confirmedAt, since) && !purchase.refundedAt &&
+      !purchase.upgradeFrom && !purchase.renewal
+  ).length;
+  const earned = db.data.commissions
+    .filter(c => c.userId === user.id && isSince(c.createdAt, since) && !c.reversedAt)
+    .reduce((sum, c) => sum + c.amount, 0);
+  
+  return t(user.language, 'digest.report', {
+    referrals: referrals.filter(ref => isSince(ref.createdAt, since)).length,
+    conversions,
+    earned,
+    balance: user.balance
+  });
+}
+
+// Only users with referrals get a digest
+async function sendWeeklyDigests(since) {
+  const recipients = users.all().filter(user => user.digest && !user.inactive && findReferrals(user).length > 0);
+  return sendToUsers(recipients, user => buildWeeklyDigest(user, since));
+}
+
+// Marks packages past their expiry date and reminds users RENEWAL_REMINDER_DAYS
+// before it. Each reminder goes out once per term; a late run sends only the
+// most urgent one.
+async function sendRenewalReminders() {
+  const now = new Date();
+  const messages = new Map();
+  for (const user of users.all()) {
+    if (!user.package || !user.packageExpiresAt || user.packageExpired) continue;
+    
+    const expiresAt = new Date(user.packageExpiresAt);
+    const language = getLanguage(user.id);
+    if (expiresAt <= now) {
+      user.packageExpired = true;
+      messages.set(user, t(language, 'renew.expired', { package: user.package }));
+      continue;
+    }
+    
+    const daysLeft = Math.ceil((expiresAt - now) / DAY_MS);
+    user.renewalReminders ||= [];
+    const due = RENEWAL_REMINDER_DAYS.filter(days => daysLeft <= days && !user.renewalReminders.includes(days));
+    if (due.length > 0) {
+      user.renewalReminders.push(...due);
+      messages.set(user, t(language, 'renew.reminder', { package: user.package, days: daysLeft, date: expiresAt.toLocaleDateString() }));
+    }
+  }
+  
+  const recipients = [...messages.keys()].filter(user => !user.inactive);
+  return sendToUsers(recipients, user => messages.get(user));
+}
+
+// Weeks start on Monday; "all" has no start
+function getPeriodStart(period, now = new Date()) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  if (period === 'day') {
+    return start;
+  }
+  if (period === 'week') {
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    return start;
+  }
+  if (period === 'month') {
+    start.setDate(1);
+    return start;
+  }
+  return new Date(0);
+}
+
+// Conversions are standing purchases by direct referrals; earnings are commissions
+// that weren't reversed. Held commission and confirmed fraud don't count, and
+// users who opted out are left off.
+function getLeaderboard(metric, since) {
+  const scores = new Map();
+  const add = (userId, value) => scores.set(userId, (scores.get(userId) || 0) + value);
+  
+  if (metric === 'earnings') {
+    db.data.commissions
+      .filter(c => !c.reversedAt && isSince(c.createdAt, since))
+      .forEach(c => add(c.userId, c.amount));
+  } else {
+    db.data.purchases
+      .filter(p => !p.refundedAt && !p.upgradeFrom && !p.renewal && !p.commissionHeld && !p.commissionWithheld && isSince(p.confirmedAt, since))
+      .forEach(p => {
+        const buyer = findUserById(p.userId);
+        const referrer = buyer?.referredBy && findUserByReferralCode(buyer.referredBy);
+        if (referrer) add(referrer.id, 1);
+      });
+  }
+  
+  const entries = [...scores]
+    .map(([userId, score]) => ({ user: findUserById(userId), score }))
+    .filter(entry => entry.user && entry.score > 0 && !entry.user.hideFromLeaderboard && !entry.user.fraudConfirmed)
+    .sort((a, b) => b.score - a.score);
+  // Ties share a rank
+  entries.forEach((entry, index) => {
+    entry.rank = index > 0 && entry.score === entries[index - 1].score ? entries[index - 1].rank : index + 1;
+  });
+  return entries;
+}
+
+// Keeps the first and last letter: "Abebe" -> "A***e"
+function maskName(name = '') {
+  const letters = [...name.trim()];
+  if (letters.length <= 2) return `${letters[0] || '?'}***`;
+  return `${letters[0]}***${letters.at(-1)}`;
+}
+
+function formatLeaderboardEntries(entries, metric, language = DEFAULT_LANGUAGE) {
+  return entries.map(entry => t(language, 'top.item', {
+    rank: entry.rank,
+    name: maskName(entry.user.name),
+    score: metric === 'earnings' ? t(language, 'common.amount', { amount: entry.score }) : entry.score
+  })).join('\n');
+}
+
+async function sendWeeklyWinners(since) {
+  const winners = getLeaderboard('conversions', since).slice(0, 3);
+  if (winners.length === 0) return 0;
+  
+  const recipients = users.all().filter(user => !user.inactive);
+  return sendToUsers(recipients, user => t(user.language, 'top.winners', {
+    list: formatLeaderboardEntries(winners, 'conversions', user.language)
+  }));
+}
+
+async function runReport(name) {
+  const report = REPORTS[name];
+  const since = new Date(Date.now() - report.days * DAY_MS);
+  console.log(`Running ${name} report...`);
+  
+  try {
+    const sent = await report.run(since);
+    db.data.admin.reports[name].lastRunAt = new Date().toISOString();
+    await saveDB();
+    return sent;
+  } catch (error) {
+    console.error(`❌ ${name} report failed:`, error);
+    return null;
+  }
+}
+
+// (Re)creates the cron job for a report from its current settings
+function scheduleReport(name) {
+  reportJobs.get(name)?.destroy();
+  reportJobs.delete(name);
+  
+  const settings = db.data.admin.reports[name];
+  if (!settings?.enabled) return;
+  if (!cron.validate(settings.schedule)) {
+    console.error(`❌ Invalid schedule for ${name} report: ${settings.schedule}`);
+    return;
+  }
+  reportJobs.set(name, cron.schedule(settings.schedule, () => runReport(name), { timezone: REPORT_TIMEZONE }));
+}
+
+function scheduleReports() {
+  Object.keys(REPORTS).forEach(scheduleReport);
+}
+
+// Scheduled backup every hour
+cron.schedule('0 * * * *', async () => {
+  console.log('Running scheduled backup...');
+  try {
+    await createBackup();
+    pruneBackups();
+  } catch (err) {
+    console.error('❌ Scheduled backup failed:', err);
+  }
+});
+
+// Expire timed-out conversations and announce started campaigns every minute
+cron.schedule('* * * * *', () => {
+  expireConversations();
+  announceCampaigns();
+});
+
+// User commands
+bot.start(async (ctx) => {
+  const user = await registerUser(ctx);
+  const referralLink = `https://t.me/${ctx.botInfo.username}?start=${user.referralCode}`;
+  
+  await ctx.reply(ctx.t('start.welcome', { name: user.name, link: referralLink }));
+});
+
+bot.command('help', (ctx) => {
+  ctx.reply(
+    ctx.t('help.user') + '\n\n' +
+    `Admin Commands: /users, /user, /add_pending, /pending, /confirm, /reject_pending, /refs, /withdrawals, /approve, /reject, /withdraw_policy, /payout_batch, /broadcast, /broadcasts, /stats, /sales, /reports, /report, /addcampaign, /endcampaign, /milestone, /setpackage, /ledger, /ledger_check, /export, /flags, /audit, /refund, /addpackage, /editpackage, /activatepackage, /deactivatepackage, /movepackage, /admins, /addadmin, /removeadmin, /backups, /backup, /getbackup, /restore`
+  );
+});
+
+bot.command('packages', (ctx) => {
+  let message = `${ctx.t('packages.title')}\n\n`;
+  for (const pkg of getPackages(isAdmin(ctx))) {
+    message += ctx.t('packages.item', { name: pkg.name, price: pkg.price, commission: pkg.commission });
+    if (pkg.durationDays > 0) {
+      message += ctx.t('packages.duration', { days: pkg.durationDays });
+    }
+    message += `${pkg.active ? '' : ctx.t('packages.inactive')}\n`;
+    if (pkg.description) {
+      message += `   ${pkg.description}\n`;
+    }
+  }
+  message += `\n${ctx.t('packages.note')}`;
+  ctx.reply(message);
+});
+
+bot.command('order', (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  if (hasPackageExpired(user)) {
+    return ctx.reply(ctx.t('order.renewFirst', { package: user.package }));
+  }
+  
+  // Users with a package are offered upgrades only, priced at the difference
+  if (user.package) {
+    const upgrades = getPackages()
+      .map(pkg => ({ pkg, change: getPackageChange(user, pkg) }))
+      .filter(({ change }) => !change || change.kind === 'upgrade');
+    if (upgrades.length === 0) {
+      return ctx.reply(ctx.t('order.noUpgrade', { current: user.package }));
+    }
+    
+    const buttons = upgrades.map(({ pkg, change }) => [
+      Markup.button.callback(
+        change
+          ? ctx.t('order.upgradeButton', { name: pkg.name, price: change.price })
+          : ctx.t('order.button', { name: pkg.name, price: pkg.price }),
+        `order:${pkg.name}`
+      )
+    ]);
+    return ctx.reply(ctx.t('order.upgradeHowto', { current: user.package }), Markup.inlineKeyboard(buttons));
+  }
+  
+  const buttons = getPackages().map(pkg => [
+    Markup.button.callback(ctx.t('order.button', { name: pkg.name, price: pkg.price }), `order:${pkg.name}`)
+  ]);
+  
+  ctx.reply(ctx.t('order.howto'), Markup.inlineKeyboard(buttons));
+});
+
+bot.command('renew', async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  const pkg = user.package && findPackage(user.package);
+  if (!pkg) {
+    return ctx.reply(ctx.t('renew.noPackage'));
+  }
+  if (!user.packageExpiresAt) {
+    return ctx.reply(ctx.t('renew.notNeeded', { package: pkg.name }));
+  }
+  
+  if (db.data.pendingPurchases.some(purchase => purchase.userId === user.id)) {
+    return ctx.reply(ctx.t('order.alreadyPending'));
+  }
+  
+  // Same flow as /order; the pending purchase is marked as a renewal
+  await startConversation(ctx.from.id, 'order', { package: pkg.name });
+});
+
+bot.command('referral', async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  const referralLink = `https://t.me/${ctx.botInfo.username}?start=${user.referralCode}`;
+  ctx.reply(ctx.t('referral.link', { link: referralLink }));
+});
+
+bot.command('myrefs', async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  const referrals = findReferrals(user);
+  
+  if (referrals.length === 0) {
+    return ctx.reply(ctx.t('myrefs.none'));
+  }
+  
+  let message = `${ctx.t('myrefs.title')}\n`;
+  referrals.forEach(ref => {
+    const status = !ref.package ? '❌' : ref.packageExpired ? '⌛' : '✅';
+    const packageName = !ref.package
+      ? ctx.t('myrefs.pending')
+      : ref.packageExpired ? ctx.t('myrefs.expired', { package: ref.package }) : ref.package;
+    message += `${ctx.t('myrefs.item', { name: ref.name, id: ref.id, package: packageName })} ${status}\n`;
+  });
+  
+  message += `\n${ctx.t('myrefs.earnings')}\n`;
+  message += formatEarningsByLevel(user.id, user.language);
+  
+  ctx.reply(message);
+});
+
+bot.command('balance', async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  const referrals = findReferrals(user);
+  const referralLink = `https://t.me/${ctx.botInfo.username}?start=${user.referralCode}`;
+  
+  ctx.reply(ctx.t('balance.summary', { balance: user.balance, referrals: referrals.length, link: referralLink }));
+});
+
+bot.command('statement', async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  const entries = getLedgerEntries(user.id).slice(-10).reverse();
+  if (entries.length === 0) {
+    return ctx.reply(ctx.t('statement.none'));
+  }
+  
+  let message = `${ctx.t('statement.title')}\n\n`;
+  entries.forEach(entry => {
+    message += `${formatLedgerEntry(entry, user.language)}\n`;
+  });
+  message += `\n${ctx.t('statement.balance', { balance: user.balance })}`;
+  
+  ctx.reply(message);
+});
+
+bot.command('withdraw', (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  const { minAmount } = getWithdrawPolicy();
+  if (user.balance < minAmount) {
+    return ctx.reply(ctx.t('withdraw.minimum', { min: minAmount, balance: user.balance }));
+  }
+  
+  const error = getWithdrawPolicyError(user);
+  if (error) {
+    return ctx.reply(ctx.t(error.key, error.params));
+  }
+  
+  startConversation(ctx.from.id, 'withdraw');
+});
+
+bot.command('payout', async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  const profiles = getPayoutProfiles(user.id);
+  
+  if (args[0] === 'add') {
+    return startConversation(user.id, 'payout');
+  }
+  
+  if (args[0] === 'delete') {
+    const profile = profiles[parseInt(args[1]) - 1];
+    if (!profile) {
+      return ctx.reply(ctx.t('payout.deleteUsage'));
+    }
+    
+    db.data.payoutProfiles = db.data.payoutProfiles.filter(p => p.id !== profile.id);
+    await saveDB();
+    return ctx.reply(ctx.t('payout.deleted'));
+  }
+  
+  let message = `${ctx.t('payout.title')}\n\n`;
+  profiles.forEach((profile, index) => {
+    message += `${index + 1}) ${profile.method} — ${formatPayoutDestination(profile.method, profile.details, ', ', user.language)}\n`;
+  });
+  if (profiles.length === 0) {
+    message += `${ctx.t('payout.none')}\n`;
+  }
+  message += `\n${ctx.t('payout.footer')}`;
+  
+  ctx.reply(message);
+});
+
+bot.command('myid', (ctx) => {
+  ctx.reply(ctx.t('myid', { id: ctx.from.id }));
+});
+
+bot.command('campaigns', async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  const language = getLanguage(ctx.from.id, ctx.from.language_code);
+  const active = getActiveCampaigns();
+  
+  let message = `${ctx.t('campaign.title')}\n\n`;
+  active.forEach(campaign => {
+    message += `${formatCampaign(campaign, language)}\n`;
+  });
+  if (active.length === 0) {
+    message += `${ctx.t('campaign.none')}\n`;
+  }
+  
+  if (db.data.milestones.length > 0) {
+    message += `\n${ctx.t('milestone.title')}\n`;
+    db.data.milestones.forEach(milestone => {
+      message += `${ctx.t('milestone.item', { count: milestone.referrals, amount: milestone.bonus })}\n`;
+    });
+    if (user) {
+      const converted = findReferrals(user).filter(ref => db.data.purchases.some(p => p.userId === ref.id && !p.refundedAt)).length;
+      message += `${ctx.t('milestone.progress', { count: converted })}\n`;
+    }
+  }
+  
+  if (isAdmin(ctx, 'sales')) {
+    const upcoming = db.data.campaigns.filter(c => !c.canceledAt && new Date(c.startsAt) > new Date());
+    message += `\nAdmin: ${upcoming.length} upcoming\n`;
+    [...active, ...upcoming].forEach(campaign => {
+      message += `ID: ${campaign.id} | ${formatCampaign(campaign)}\n`;
+    });
+    message += `\n/addcampaign, /endcampaign, /milestone`;
+  }
+  
+  ctx.reply(message);
+});
+
+bot.command('top', async (ctx) => {
+  const args = ctx.message.text.split(' ').slice(1).map(arg => arg.toLowerCase());
+  const user = findUserById(ctx.from.id);
+  
+  if (args[0] === 'hide' || args[0] === 'show') {
+    if (!user) {
+      return ctx.reply(ctx.t('register.first'));
+    }
+    user.hideFromLeaderboard = args[0] === 'hide';
+    await saveDB();
+    return ctx.reply(ctx.t(user.hideFromLeaderboard ? 'top.hidden' : 'top.shown'));
+  }
+  
+  const period = args.find(arg => LEADERBOARD_PERIODS.includes(arg)) || 'week';
+  const metric = args.find(arg => LEADERBOARD_METRICS.includes(arg)) || 'conversions';
+  const entries = getLeaderboard(metric, getPeriodStart(period));
+  const language = getLanguage(ctx.from.id, ctx.from.language_code);
+  
+  let message = `${ctx.t('top.title', { period: ctx.t(`top.period.${period}`), metric: ctx.t(`top.metric.${metric}`) })}\n\n`;
+  message += entries.length > 0
+    ? formatLeaderboardEntries(entries.slice(0, LEADERBOARD_SIZE), metric, language)
+    : ctx.t('top.empty');
+  message += '\n\n';
+  
+  const own = user && entries.find(entry => entry.user.id === user.id);
+  if (user?.hideFromLeaderboard) {
+    message += ctx.t('top.hiddenNote');
+  } else if (own) {
+    message += ctx.t('top.yourRank', { rank: own.rank, score: metric === 'earnings' ? ctx.t('common.amount', { amount: own.score }) : own.score });
+  } else if (user) {
+    message += ctx.t('top.unranked');
+  }
+  message += `\n\n${ctx.t('top.footer')}`;
+  
+  ctx.reply(message);
+});
+
+bot.command('digest', async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
+  }
+  
+  const choice = ctx.message.text.split(' ')[1]?.toLowerCase();
+  if (choice !== 'on' && choice !== 'off') {
+    return ctx.reply(ctx.t(user.digest ? 'digest.statusOn' : 'digest.statusOff'));
+  }
+  
+  user.digest = choice === 'on';
+  await saveDB();
+  ctx.reply(ctx.t(user.digest ? 'digest.subscribed' : 'digest.unsubscribed'));
+});
+
+bot.command('language', (ctx) => {
+  const buttons = Object.entries(LANGUAGES).map(([code, name]) => Markup.button.callback(name, `language:${code}`));
+  ctx.reply(ctx.t('language.prompt'), Markup.inlineKeyboard([buttons]));
+});
+
+// Admin commands
+bot.command('users', async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  if (users.count() === 0) {
+    return ctx.reply('No users registered yet.');
+  }
+  
+  await sendListing(ctx, 'user');
+});
+
+bot.command('user', async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 1) {
+    return ctx.reply('Usage: /user <userId>');
+  }
+  
+  const userId = parseInt(args[0]);
+  if (isNaN(userId)) {
+    return ctx.reply('❌ Invalid user ID.');
+  }
+  
+  const user = findUserById(userId);
+  if (!user) {
+    return ctx.reply('❌ User not found.');
+  }
+  
+  ctx.reply(formatUserDetails(user));
+});
+
+function formatUserDetails(user) {
+  const referrals = findReferrals(user);
+  
+  let message = `👤 User Details:\n\n`;
+  message += `ID: ${user.id}\n`;
+  message += `Name: ${user.name}\n`;
+  message += `Package: ${user.package || 'None'}${formatPackageExpiry(user)}\n`;
+  message += `Balance: ${user.balance} ETB\n`;
+  message += `Referral Code: ${user.referralCode}\n`;
+  message += `Referred By: ${user.referredBy || 'None'}\n`;
+  message += `Joined: ${new Date(user.createdAt).toLocaleDateString()}\n`;
+  message += `Open fraud flags: ${findOpenFlags(user.id).length}${user.fraudConfirmed ? ' (confirmed fraud)' : ''}\n\n`;
+  message += `Referrals: ${referrals.length}\n`;
+  
+  referrals.forEach(ref => {
+    message += `- ${ref.name} (${ref.package || 'Pending'})\n`;
+  });
+  
+  const purchases = db.data.purchases.filter(purchase => purchase.userId === user.id);
+  if (purchases.length > 0) {
+    message += `\nPurchases:\n`;
+    purchases.forEach(purchase => {
+      const type = purchase.upgradeFrom ? ` (upgrade from ${purchase.upgradeFrom})` : purchase.renewal ? ' (renewal)' : '';
+      message += `- ${purchase.id} | ${purchase.package}${type} | ${purchase.price} ETB | ${new Date(purchase.confirmedAt).toLocaleDateString()}${purchase.refundedAt ? ' | Refunded' : ''}\n`;
+    });
+  }
+  
+  if (user.packageHistory?.length > 0) {
+    message += `\nPackage history:\n`;
+    user.packageHistory.forEach(change => {
+      message += `- ${new Date(change.changedAt).toLocaleDateString()} | ${change.from || 'None'} → ${change.to || 'None'} | ${change.reason}${change.changedBy ? ` by ${change.changedBy.name}` : ''}\n`;
+    });
+  }
+  
+  message += `\nEarnings by level:\n`;
+  message += formatEarningsByLevel(user.id);
+  
+  return message;
+}
+
+bot.command('add_pending', async (ctx) => {
+  if (!isAdmin(ctx, 'sales')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 2) {
+    return ctx.reply('Usage: /add_pending <userId> <package> [note]');
+  }
+  
+  const userId = parseInt(args[0]);
+  const note = args.slice(2).join(' ') || '';
+  
+  if (isNaN(userId)) {
+    return ctx.reply('❌ Invalid user ID.');
+  }
+  
+  const pkg = findPackage(args[1]);
+  if (!pkg || !pkg.active) {
+    return ctx.reply(formatAvailablePackages());
+  }
+  const packageName = pkg.name;
+  
+  const user = findUserById(userId);
+  if (!user) {
+    return ctx.reply('❌ User not found.');
+  }
+  
+  const change = getPackageChange(user, pkg);
+  if (change?.kind === 'downgrade') {
+    return ctx.reply(`❌ User ${userId} has ${change.from}. Downgrades are not allowed.`);
+  }
+  if (isExpiredUpgrade(change)) {
+    return ctx.reply(`❌ User ${userId}'s ${change.from} package has expired. It has to be renewed before upgrading.`);
+  }
+  
+  await createPendingPurchase(userId, packageName, note, null, getActor(ctx.from, ctx.message.text));
+  
+  try {
+    await ctx.telegram.sendMessage(
+      userId,
+      t(getLanguage(userId), 'purchase.pending', { package: packageName })
+    );
+  } catch (error) {
+    logNotificationFailure('user', error);
+  }
+  
+  ctx.reply(`✅ Added pending purchase for user ${userId}`);
+});
+
+bot.command('pending', async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  if (db.data.pendingPurchases.length === 0) {
+    return ctx.reply('No pending purchases.');
+  }
+  
+  await sendListing(ctx, 'purchase');
+});
+
+bot.command('confirm', async (ctx) => {
+  if (!isAdmin(ctx, 'sales')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 2) {
+    return ctx.reply('Usage: /confirm <userId> <package>');
+  }
+  
+  const userId = parseInt(args[0]);
+  
+  if (isNaN(userId)) {
+    return ctx.reply('❌ Invalid user ID.');
+  }
+  
+  const pkg = findPackage(args[1]);
+  if (!pkg) {
+    return ctx.reply(formatAvailablePackages());
+  }
+  const packageName = pkg.name;
+  
+  const change = getPackageChange(findUserById(userId), pkg);
+  if (change?.kind === 'downgrade') {
+    return ctx.reply(`❌ User ${userId} has ${change.from}. Downgrades are not allowed.`);
+  }
+  if (isExpiredUpgrade(change)) {
+    return ctx.reply(`❌ User ${userId}'s ${change.from} package has expired. It has to be renewed before upgrading.`);
+  }
+  
+  const success = await confirmPurchase(userId, packageName, getActor(ctx.from, ctx.message.text));
+  if (!success) {
+    return ctx.reply('❌ Failed to confirm purchase. User not found.');
+  }
+  
+  ctx.reply(change?.kind === 'upgrade'
+    ? `✅ User ${userId} upgraded from ${change.from} to ${packageName}`
+    : `✅ Package confirmed for user ${userId}`);
+});
+
+bot.command('reject_pending', async (ctx) => {
+  if (!isAdmin(ctx, 'sales')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 1) {
+    return ctx.reply('Usage: /reject_pending <purchaseId> [reason]');
+  }
+  
+  const purchaseId = args[0];
+  const reason = args.slice(1).join(' ') || '';
+  
+  const success = await rejectPendingPurchase(purchaseId, reason, getActor(ctx.from, ctx.message.text));
+  if (!success) {
+    return ctx.reply('❌ Pending purchase not found.');
+  }
+  
+  ctx.reply('✅ Pending purchase removed.');
+});
+
+bot.command('refs', async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 1) {
+    return ctx.reply('Usage: /refs <userId>');
+  }
+  
+  const userId = parseInt(args[0]);
+  if (isNaN(userId)) {
+    return ctx.reply('❌ Invalid user ID.');
+  }
+  
+  const user = findUserById(userId);
+  if (!user) {
+    return ctx.reply('❌ User not found.');
+  }
+  
+  const referrals = findReferrals(user);
+  
+  if (referrals.length === 0) {
+    return ctx.reply('This user has no referrals.');
+  }
+  
+  let message = `👥 Referrals of ${user.name}:\n\n`;
+  referrals.forEach(ref => {
+    message += `- ${ref.name} (ID: ${ref.id}) — ${ref.package || 'Pending'} ${ref.package ? '✅' : '❌'}\n`;
+  });
+  
+  ctx.reply(message);
+});
+
+bot.command('withdrawals', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  if (db.data.withdraws.length === 0) {
+    return ctx.reply('No withdrawal requests.');
+  }
+  
+  await sendListing(ctx, 'withdraw');
+});
+
+bot.command('approve', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 1) {
+    return ctx.reply('Usage: /approve <withdrawId> [note]');
+  }
+  
+  const withdrawId = args[0];
+  const note = args.slice(1).join(' ') || '';
+  
+  const success = await approveWithdrawRequest(withdrawId, note, getActor(ctx.from, ctx.message.text));
+  if (!success) {
+    return ctx.reply('❌ Withdraw request not found or not pending.');
+  }
+  
+  ctx.reply('✅ Withdrawal approved.');
+});
+
+bot.command('reject', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 1) {
+    return ctx.reply('Usage: /reject <withdrawId> [reason]');
+  }
+  
+  const withdrawId = args[0];
+  const reason = args.slice(1).join(' ') || '';
+  
+  const success = await rejectWithdrawRequest(withdrawId, reason, getActor(ctx.from, ctx.message.text));
+  if (!success) {
+    return ctx.reply('❌ Withdraw request not found or not pending.');
+  }
+  
+  ctx.reply('✅ Withdrawal rejected.');
+});
+
+bot.command('withdraw_policy', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const policy = getWithdrawPolicy();
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (args.length < 2) {
+    const limit = (value, unit = 'ETB') => value > 0 ? `${value} ${unit}` : 'off';
+    const fees = Object.keys(PAYOUT_METHODS)
+      .map(method => `  ${method}: ${formatWithdrawFee(policy.fees[method]) || 'free'}`)
+      .join('\n');
+    return ctx.reply(
+      `💳 Withdrawal Policy\n\n` +
+      `Minimum: ${policy.minAmount} ETB\n` +
+      `Fees:\n${fees}\n` +
+      `Daily cap: ${limit(policy.dailyCap)}\n` +
+      `Monthly cap: ${limit(policy.monthlyCap)}\n` +
+      `Cooldown: ${limit(policy.cooldownHours, 'hours')}\n` +
+      `Hold for review above: ${limit(policy.holdAbove)}\n` +
+      `Users can have one pending request at a time.\n\n` +
+      'Usage:\n' +
+      '/withdraw_policy min <amount>\n' +
+      '/withdraw_policy fee <method> <2%|10|2%+10|0>\n' +
+      '/withdraw_policy daily|monthly <amount|0>\n' +
+      '/withdraw_policy cooldown <hours|0>\n' +
+      '/withdraw_policy hold <amount|0>'
+    );
+  }
+  
+  const actor = getActor(ctx.from, ctx.message.text);
+  const setting = args[0].toLowerCase();
+  if (setting === 'fee') {
+    const method = Object.keys(PAYOUT_METHODS).find(m => m.toLowerCase() === args[1].toLowerCase());
+    if (!method) {
+      return ctx.reply(`❌ Unknown method. Methods: ${Object.keys(PAYOUT_METHODS).join(', ')}`);
+    }
+    
+    const fee = args[2] && parseWithdrawFee(args[2]);
+    if (!fee) {
+      return ctx.reply('❌ Fee must be a percentage, a fixed amount or both, e.g. 2%, 10 or 2%+10. Use 0 for no fee.');
+    }
+    
+    const before = policy.fees[method];
+    policy.fees[method] = fee;
+    recordAudit(actor, 'withdraw_policy', { method }, { fee: before }, { fee });
+    await saveDB();
+    return ctx.reply(`✅ ${method} withdrawal fee: ${formatWithdrawFee(fee) || 'free'}.`);
+  }
+  
+  const key = WITHDRAW_POLICY_SETTINGS[setting];
+  if (!key) {
+    return ctx.reply(`❌ Unknown setting. Settings: fee, ${Object.keys(WITHDRAW_POLICY_SETTINGS).join(', ')}`);
+  }
+  
+  const value = parseInt(args[1]);
+  if (isNaN(value) || value < 0 || String(value) !== args[1]) {
+    return ctx.reply('❌ Value must be a whole number, 0 or more.');
+  }
+  if (setting === 'min' && value < 1) {
+    return ctx.reply('❌ The minimum must be at least 1 ETB.');
+  }
+  
+  const before = policy[key];
+  policy[key] = value;
+  recordAudit(actor, 'withdraw_policy', { setting }, { [key]: before }, { [key]: value });
+  await saveDB();
+  
+  const unit = setting === 'cooldown' ? 'hours' : 'ETB';
+  ctx.reply(`✅ Withdrawal ${setting} set to ${value > 0 ? `${value} ${unit}` : 'off'}.`);
+});
+
+bot.command('payout_batch', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  const format = args.includes('xlsx') ? 'xlsx' : 'csv';
+  const [action, batchId] = args.filter(arg => arg !== 'xlsx');
+  const actor = getActor(ctx.from, ctx.message.text);
+  
+  if (action === 'list') {
+    const batches = db.data.payoutBatches.slice(-LIST_PAGE_SIZE).reverse();
+    if (batches.length === 0) {
+      return ctx.reply('No payout batches yet.');
+    }
+    return ctx.reply('💸 Payout Batches\n\n' + batches.map(batch =>
+      `ID: ${batch.id} | ${batch.withdrawIds.length} withdrawals | ${batch.total} ETB | Status: ${batch.status}` +
+      ` | Created ${new Date(batch.createdAt).toLocaleDateString()}${batch.createdBy ? ' by ' + batch.createdBy.name : ''}`
+    ).join('\n'));
+  }
+  
+  if (action === 'paid') {
+    if (!batchId) {
+      return ctx.reply('Usage: /payout_batch paid <batchId>');
+    }
+    const requests = await markPayoutBatchPaid(batchId, actor);
+    if (!requests) {
+      return ctx.reply('❌ Payout batch not found or already paid.');
+    }
+    return ctx.reply(`✅ Batch ${batchId} marked as paid. ${requests.length} withdrawal(s) moved to paid and their users notified.`);
+  }
+  
+  let batch;
+  if (action === 'files') {
+    batch = batchId && findPayoutBatch(batchId);
+    if (!batch) {
+      return ctx.reply('Usage: /payout_batch files <batchId> [xlsx]');
+    }
+  } else if (action) {
+    return ctx.reply(
+      'Usage:\n' +
+      '/payout_batch [xlsx] - batch approved withdrawals and get one payout file per method\n' +
+      '/payout_batch files <batchId> [xlsx] - get a batch\'s files again\n' +
+      '/payout_batch paid <batchId> - mark a batch as paid\n' +
+      '/payout_batch list - recent batches'
+    );
+  } else {
+    batch = await createPayoutBatch(actor);
+    if (!batch) {
+      return ctx.reply('No approved withdrawals waiting for payout.');
+    }
+  }
+  
+  const files = await createPayoutFiles(batch, format);
+  for (const { method, count, total, file, filename } of files) {
+    await ctx.replyWithDocument({ source: file, filename }, { caption: `💸 ${method}: ${count} payout(s), ${total} ETB` });
+  }
+  
+  ctx.reply(
+    `📦 Batch ${batch.id}: ${batch.withdrawIds.length} withdrawal(s), ${batch.total} ETB to pay.\n` +
+    `Once the transfers are done, mark it with /payout_batch paid ${batch.id}`
+  );
+});
+
+bot.command('broadcast', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  const filters = [];
+  while (args.length > 0) {
+    const filter = parseSegmentFilter(args[0]);
+    if (filter === undefined) break;
+    if (filter === null) {
+      return ctx.reply(`❌ Invalid segment: ${args[0]}`);
+    }
+    filters.push(filter);
+    args.shift();
+  }
+  
+  const text = args.join(' ');
+  const source = ctx.message.reply_to_message;
+  let content = { type: 'text', text };
+  if (source?.photo) {
+    content = { type: 'photo', fileId: source.photo[source.photo.length - 1].file_id, text };
+  } else if (source?.document) {
+    content = { type: 'document', fileId: source.document.file_id, text };
+  }
+  
+  if (content.type === 'text' && !text) {
+    return ctx.reply(
+      'Usage: /broadcast [segment...] <message>\n' +
+      'Reply to a photo or document to send it with the message as caption.\n\n' +
+      'Segments: all, package:<name>, nopackage, expired, refs:<min>, joined:<from>..<to> (YYYY-MM-DD)'
+    );
+  }
+  
+  const recipients = users.all().filter(user => !user.inactive && matchesSegment(user, filters));
+  if (recipients.length === 0) {
+    return ctx.reply('No active users match this segment.');
+  }
+  
+  const broadcast = {
+    id: nanoid(8),
+    segment: ctx.message.text.split(' ').slice(1, filters.length + 1).join(' ') || 'all',
+    content: content,
+    status: 'running',
+    recipients: recipients.map(user => ({ userId: user.id, status: 'pending' })),
+    success: 0,
+    failed: 0,
+    blocked: 0,
+    createdBy: ctx.from.id,
+    createdAt: new Date().toISOString()
+  };
+  db.data.admin.broadcasts.push(broadcast);
+  recordAudit(getActor(ctx.from, ctx.message.text), 'broadcast', { broadcastId: broadcast.id },
+    null, { segment: broadcast.segment, type: content.type, recipients: recipients.length });
+  await saveDB();
+  
+  ctx.reply(`📢 Broadcast ${broadcast.id} started for ${recipients.length} users. You'll get a summary when it finishes.`);
+  
+  // Not awaited: large broadcasts outlive the update handler timeout
+  runBroadcast(broadcast);
+});
+
+bot.command('broadcasts', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const broadcasts = db.data.admin.broadcasts.slice(-10).reverse();
+  if (broadcasts.length === 0) {
+    return ctx.reply('No broadcasts yet.');
+  }
+  
+  let message = '📢 Recent broadcasts:\n\n';
+  broadcasts.forEach(broadcast => {
+    const date = new Date(broadcast.createdAt || broadcast.sentAt).toLocaleString();
+    const text = broadcast.content?.text ?? broadcast.message ?? '';
+    const preview = text.length > 40 ? text.slice(0, 40) + '…' : text;
+    const pending = broadcast.recipients?.filter(r => r.status === 'pending').length || 0;
+    
+    message += `${broadcast.id || '-'} | ${date} | ${broadcast.segment || 'all'} | ${broadcast.content?.type || 'text'} | ${broadcast.status || 'completed'}\n`;
+    message += `   Sent: ${broadcast.success}, Failed: ${broadcast.failed}, Blocked: ${broadcast.blocked || 0}${pending ? `, Pending: ${pending}` : ''}\n`;
+    message += `   "${preview}"\n`;
+  });
+  
+  ctx.reply(message);
+});
+
+bot.command('stats', async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const allUsers = users.all();
+  const totalUsers = allUsers.length;
+  const activeUsers = allUsers.filter(u => u.package && !u.packageExpired).length;
+  const expiredPackages = allUsers.filter(u => u.package && u.packageExpired).length;
+  const expiringSoon = allUsers.filter(u =>
+    u.package && !u.packageExpired && u.packageExpiresAt &&
+    new Date(u.packageExpiresAt) <= new Date(Date.now() + RENEWAL_REMINDER_DAYS[0] * DAY_MS)
+  ).length;
+  const pendingPurchases = db.data.pendingPurchases.length;
+  const pendingWithdrawals = db.data.withdraws.filter(w => w.status === 'pending').length;
+  const openFlags = db.data.flags.filter(flag => flag.status === 'open').length;
+  const inactiveUsers = allUsers.filter(u => u.inactive).length;
+  
+  let totalCommission = 0;
+  allUsers.forEach(user => {
+    totalCommission += user.balance;
+  });
+  
+  ctx.reply(
+    `📊 Bot Statistics:\n\n` +
+    `Total Users: ${totalUsers}\n` +
+    `Active Users: ${activeUsers}\n` +
+    `Expired Packages: ${expiredPackages}\n` +
+    `Expiring within ${RENEWAL_REMINDER_DAYS[0]} days: ${expiringSoon}\n` +
+    `Inactive (blocked the bot): ${inactiveUsers}\n` +
+    `Pending Purchases: ${pendingPurchases}\n` +
+    `Pending Withdrawals: ${pendingWithdrawals}\n` +
+    `Open Fraud Flags: ${openFlags}\n` +
+    `Total Commission Held: ${totalCommission} ETB`
+  );
+});
+
+bot.command('sales', async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const sales = {};
+  db.data.purchases.forEach(purchase => {
+    sales[purchase.package] ||= { count: 0, revenue: 0, commission: 0, refunded: 0 };
+    if (purchase.refundedAt) {
+      sales[purchase.package].refunded++;
+      return;
+    }
+    sales[purchase.package].count++;
+    sales[purchase.package].revenue += purchase.price;
+  });
+  let milestoneBonuses = 0;
+  db.data.commissions.forEach(commission => {
+    if (commission.reversedAt) return;
+    if (commission.milestone) {
+      milestoneBonuses += commission.amount;
+    } else if (sales[commission.package]) {
+      sales[commission.package].commission += commission.amount;
+    }
+  });
+  
+  let message = '📈 Sales by Package:\n\n';
+  for (const [packageName, totals] of Object.entries(sales)) {
+    message += `${packageName}: ${totals.count} sales | Revenue: ${totals.revenue} ETB | Commission paid: ${totals.commission} ETB${totals.refunded ? ` | Refunded: ${totals.refunded}` : ''}\n`;
+  }
+  
+  if (Object.keys(sales).length === 0) {
+    message += 'No sales yet.';
+  } else if (milestoneBonuses > 0) {
+    message += `\nMilestone bonuses paid: ${milestoneBonuses} ETB`;
+  }
+  
+  ctx.reply(message);
+});
+
+bot.command('reports', async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  let message = '📅 Scheduled reports:\n\n';
+  for (const [name, report] of Object.entries(REPORTS)) {
+    const settings = db.data.admin.reports[name];
+    message += `${name} — ${report.description}\n`;
+    message += `Status: ${settings.enabled ? 'on' : 'off'} | Schedule: ${settings.schedule}\n`;
+    message += `Last run: ${settings.lastRunAt ? new Date(settings.lastRunAt).toLocaleString() : 'never'}\n\n`;
+  }
+  // Reports can message every user, so only owners change or run them
+  if (isAdmin(ctx, 'owner')) {
+    message += 'Change one with /report <name> on|off|run or /report <name> schedule <cron expression>';
+  }
+  
+  ctx.reply(message.trim());
+});
+
+bot.command('report', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (args.length < 2 || !REPORTS[args[0]]) {
+    return ctx.reply(
+      'Usage: /report <name> on|off|run\n' +
+      '/report <name> schedule <cron expression>\n' +
+      `Reports: ${Object.keys(REPORTS).join(', ')}\n` +
+      'Example: /report daily schedule 0 18 * * *'
+    );
+  }
+  
+  const [name, action] = args;
+  const settings = db.data.admin.reports[name];
+  const before = { ...settings };
+  
+  if (action === 'run') {
+    const sent = await runReport(name);
+    if (sent === null) {
+      return ctx.reply(`❌ The ${name} report failed. Check the logs.`);
+    }
+    return ctx.reply(`✅ ${name} report sent (${sent} messages).`);
   }
   
-  return user;
-}
+  if (action === 'on' || action === 'off') {
+    settings.enabled = action === 'on';
+  } else if (action === 'schedule') {
+    const schedule = args.slice(2).join(' ');
+    if (!cron.validate(schedule)) {
+      return ctx.reply('❌ Invalid cron expression. Example: 0 8 * * * for every day at 08:00.');
+    }
+    settings.schedule = schedule;
+  } else {
+    return ctx.reply('❌ Unknown action. Use on, off, run or schedule.');
+  }
+  
+  recordAudit(getActor(ctx.from, ctx.message.text), 'report_settings', { report: name }, before, { ...settings });
+  await saveDB();
+  scheduleReport(name);
+  ctx.reply(`✅ ${name} report is ${settings.enabled ? 'on' : 'off'}, schedule: ${settings.schedule}`);
+});
 
-async function createWithdrawRequest(userId, amount, paymentMethod) {
-  const user = findUserById(userId);
-  if (!user || user.balance < amount) return null;
+bot.command('addcampaign', async (ctx) => {
+  if (!isAdmin(ctx, 'sales')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (args.length < 4) {
+    return ctx.reply(
+      'Usage: /addcampaign <name> <x1.5|+200> <from> <to> [package,package]\n' +
+      'x multiplies the package commission, + adds a flat ETB bonus. Dates are YYYY-MM-DD and inclusive.\n' +
+      'Example: /addcampaign Holiday x2 2026-12-20 2026-12-31 VIP,Premium'
+    );
+  }
   
-  user.balance -= amount;
+  const [name, effectText, from, to, packageList] = args;
+  const effect = parseCampaignEffect(effectText);
+  if (!effect) {
+    return ctx.reply('❌ Invalid effect. Use x1.5 for a multiplier or +200 for a flat bonus.');
+  }
   
-  const withdrawRequest = {
+  const startsAt = new Date(`${from}T00:00:00`);
+  const endsAt = new Date(`${to}T23:59:59.999`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || isNaN(startsAt) || isNaN(endsAt)) {
+    return ctx.reply('❌ Dates must be YYYY-MM-DD.');
+  }
+  if (endsAt < startsAt || endsAt < new Date()) {
+    return ctx.reply('❌ The campaign must end after it starts and not in the past.');
+  }
+  
+  const packages = [];
+  for (const packageName of packageList ? packageList.split(',') : []) {
+    const pkg = findPackage(packageName);
+    if (!pkg) {
+      return ctx.reply(formatAvailablePackages());
+    }
+    packages.push(pkg.name);
+  }
+  
+  const campaign = {
     id: nanoid(8),
-    userId: userId,
-    amount: amount,
-    paymentMethod: paymentMethod,
-    status: 'pending',
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
+    name,
+    ...effect,
+    packages,
+    startsAt: startsAt.toISOString(),
+    endsAt: endsAt.toISOString(),
+    createdBy: getActor(ctx.from),
+    createdAt: new Date().toISOString()
   };
-  
-  db.data.withdraws.push(withdrawRequest);
+  db.data.campaigns.push(campaign);
+  recordAudit(getActor(ctx.from, ctx.message.text), 'campaign_add', { campaignId: campaign.id }, null,
+    { name, ...effect, packages, startsAt: campaign.startsAt, endsAt: campaign.endsAt });
   await saveDB();
   
-  return withdrawRequest;
-}
+  ctx.reply(`✅ Campaign ${campaign.id} added:\n${formatCampaign(campaign)}\nUsers are told when it starts.`);
+});
 
-async function approveWithdrawRequest(withdrawId, note = '') {
-  const request = findWithdrawRequest(withdrawId);
-  if (!request || request.status !== 'pending') return false;
+bot.command('endcampaign', async (ctx) => {
+  if (!isAdmin(ctx, 'sales')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
   
-  request.status = 'approved';
-  request.note = note;
-  request.updatedAt = new Date().toISOString();
+  const campaignId = ctx.message.text.split(' ')[1];
+  if (!campaignId) {
+    return ctx.reply('Usage: /endcampaign <campaignId>');
+  }
+  
+  const campaign = db.data.campaigns.find(c => c.id === campaignId && !c.canceledAt);
+  if (!campaign || new Date(campaign.endsAt) < new Date()) {
+    return ctx.reply('❌ Campaign not found or already ended.');
+  }
+  
+  campaign.canceledAt = new Date().toISOString();
+  campaign.canceledBy = getActor(ctx.from);
+  recordAudit(getActor(ctx.from, ctx.message.text), 'campaign_end', { campaignId: campaign.id },
+    { endsAt: campaign.endsAt }, { canceledAt: campaign.canceledAt });
   await saveDB();
   
-  try {
-    await bot.telegram.sendMessage(
-      request.userId,
-      `✅ Your withdrawal of ${request.amount} ETB has been approved.${note ? '\nNote: ' + note : ''}`
-    );
-  } catch (error) {
-    console.log('Could not notify user:', error.message);
+  ctx.reply(`✅ Campaign ${campaign.name} ended. Purchases confirmed from now on earn the regular commission.`);
+});
+
+bot.command('milestone', async (ctx) => {
+  if (!isAdmin(ctx, 'sales')) {
+    return ctx.reply('❌ You are not authorized.');
   }
   
-  return true;
-}
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (args.length < 2) {
+    let message = 'Usage: /milestone <referrals> <bonus> or /milestone <referrals> off\n' +
+      'Example: /milestone 10 1000 pays 1000 ETB when a user\'s 10th referral buys a package.\n\n';
+    db.data.milestones.forEach(milestone => {
+      message += `${milestone.referrals} referrals: ${milestone.bonus} ETB\n`;
+    });
+    if (db.data.milestones.length === 0) {
+      message += 'No milestones set.';
+    }
+    return ctx.reply(message);
+  }
+  
+  const referrals = parseInt(args[0]);
+  if (isNaN(referrals) || referrals < 1) {
+    return ctx.reply('❌ Referrals must be a number starting from 1.');
+  }
+  
+  const bonus = parseInt(args[1]);
+  if (args[1] !== 'off' && (isNaN(bonus) || bonus <= 0)) {
+    return ctx.reply('❌ Bonus must be a positive number.');
+  }
+  
+  const actor = getActor(ctx.from, ctx.message.text);
+  const previous = db.data.milestones.find(m => m.referrals === referrals);
+  db.data.milestones = db.data.milestones.filter(m => m.referrals !== referrals);
+  if (args[1] === 'off') {
+    recordAudit(actor, 'milestone_remove', { referrals }, { bonus: previous?.bonus }, { bonus: null });
+    await saveDB();
+    return ctx.reply(`✅ Milestone at ${referrals} referrals removed.`);
+  }
+  
+  db.data.milestones.push({ referrals, bonus, createdBy: getActor(ctx.from), createdAt: new Date().toISOString() });
+  db.data.milestones.sort((a, b) => a.referrals - b.referrals);
+  recordAudit(actor, 'milestone_set', { referrals }, { bonus: previous?.bonus }, { bonus });
+  await saveDB();
+  
+  ctx.reply(`✅ Users now earn ${bonus} ETB when ${referrals} of their referrals have bought a package.`);
+});
 
-async function rejectWithdrawRequest(withdrawId, reason = '') {
-  const request = findWithdrawRequest(withdrawId);
-  if (!request || request.status !== 'pending') return false;
+bot.command('setpackage', async (ctx) => {
+  if (!isAdmin(ctx, 'sales')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
   
-  // Return funds to user
-  const user = findUserById(request.userId);
-  if (user) {
-    user.balance += request.amount;
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 2) {
+    return ctx.reply('Usage: /setpackage <userId> <package>');
   }
   
-  request.status = 'rejected';
-  request.note = reason;
-  request.updatedAt = new Date().toISOString();
+  const userId = parseInt(args[0]);
+  
+  if (isNaN(userId)) {
+    return ctx.reply('❌ Invalid user ID.');
+  }
+  
+  const pkg = findPackage(args[1]);
+  if (!pkg) {
+    return ctx.reply(formatAvailablePackages());
+  }
+  const packageName = pkg.name;
+  
+  const user = findUserById(userId);
+  if (!user) {
+    return ctx.reply('❌ User not found.');
+  }
+  
+  const actor = getActor(ctx.from, ctx.message.text);
+  recordAudit(actor, 'package_set', { userId }, { package: user.package }, { package: packageName });
+  setUserPackage(user, packageName, { reason: 'admin', actor, expiresAt: getPackageExpiry(pkg, new Date()) });
   await saveDB();
   
   try {
-    await bot.telegram.sendMessage(
-      request.userId,
-      `❌ Your withdrawal request of ${request.amount} ETB was rejected.${reason ? '\nReason: ' + reason : ''}`
+    await ctx.telegram.sendMessage(
+      userId,
+      t(getLanguage(userId), 'purchase.setByAdmin', { package: packageName })
     );
   } catch (error) {
-    console.log('Could not notify user:', error.message);
+    logNotificationFailure('user', error);
   }
   
-  return true;
-}
+  ctx.reply(`✅ Package set for user ${userId}`);
+});
 
-async function confirmPurchase(userId, packageName) {
-  const user = findUserById(userId);
-  if (!user) return false;
+bot.command('addpackage', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
   
-  user.package = packageName;
-  user.packageConfirmedAt = new Date().toISOString();
-  
-  // Pay referral commission
-  if (user.referredBy) {
-    const referrer = findUserByReferralCode(user.referredBy);
-    if (referrer && PACKAGES[packageName]) {
-      referrer.balance += PACKAGES[packageName].commission;
-      try {
-        await bot.telegram.sendMessage(
-          referrer.id,
-          `💰 You earned ${PACKAGES[packageName].commission} ETB commission from ${user.name}'s ${packageName} package purchase!`
-        );
-      } catch (error) {
-        console.log('Could not notify referrer:', error.message);
-      }
-    }
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 3) {
+    return ctx.reply('Usage: /addpackage <name> <price> <commission> [description]');
   }
   
-  // Remove from pending purchases
-  db.data.pendingPurchases = db.data.pendingPurchases.filter(
-    purchase => !(purchase.userId === userId && purchase.package === packageName)
-  );
+  const name = args[0];
+  const price = parseInt(args[1]);
+  const commission = parseInt(args[2]);
+  const description = args.slice(3).join(' ') || '';
+  
+  if (findPackage(name)) {
+    return ctx.reply('❌ A package with that name already exists.');
+  }
+  
+  if (isNaN(price) || isNaN(commission) || price <= 0 || commission < 0) {
+    return ctx.reply('❌ Price and commission must be positive numbers.');
+  }
   
+  db.data.packages.push({
+    name: name,
+    price: price,
+    commission: commission,
+    durationDays: DEFAULT_PACKAGE_DAYS,
+    renewalCommission: 0,
+    description: description,
+    active: true,
+    order: db.data.packages.length,
+    createdAt: new Date().toISOString()
+  });
+  recordAudit(getActor(ctx.from, ctx.message.text), 'package_add', { package: name }, null,
+    { price, commission, description });
   await saveDB();
-  return true;
-}
-
-// Scheduled backup every hour
-cron.schedule('0 * * * *', () => {
-  console.log('Running scheduled backup...');
-  saveDB();
-});
-
-// User commands
-bot.start(async (ctx) => {
-  const user = await registerUser(ctx);
-  const referralLink = `https://t.me/${ctx.botInfo.username}?start=${user.referralCode}`;
   
-  await ctx.reply(
-    `👋 Welcome, ${user.name}!\n\n` +
-    `Your referral link:\n${referralLink}\n\n` +
-    `Use /packages to see available website packages.`
-  );
-});
-
-bot.command('help', (ctx) => {
-  ctx.reply(
-    `🤖 Popposite Referral Bot Help\n\n` +
-    `User Commands:\n` +
-    `/start - Register and get started\n` +
-    `/help - Show this help message\n` +
-    `/packages - View available packages\n` +
-    `/order - How to order instructions\n` +
-    `/referral - Get your referral link\n` +
-    `/myrefs - View your referrals\n` +
-    `/balance - Check your balance\n` +
-    `/withdraw - Request withdrawal\n` +
-    `/myid - Show your Telegram ID\n\n` +
-    `Admin Commands: /users, /user, /add_pending, /pending, /confirm, /refs, /withdrawals, /approve, /reject, /broadcast, /stats, /sales, /setpackage`
-  );
+  ctx.reply(`✅ Package ${name} added.`);
 });
 
-bot.command('packages', (ctx) => {
-  let message = `🧾 Packages\n\n`;
-  for (const [name, details] of Object.entries(PACKAGES)) {
-    message += `🔸 ${name} — ${details.price} ETB — Commission: ${details.commission} ETB\n`;
+bot.command('editpackage', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
   }
-  message += `\nNote: Pre-payment required. Contact admin to pay and confirm.`;
-  ctx.reply(message);
-});
-
-bot.command('order', (ctx) => {
-  ctx.reply(
-    `📦 How to Order:\n\n` +
-    `1. Choose a package using /packages\n` +
-    `2. Send payment to the admin\n` +
-    `3. Admin will confirm your purchase\n` +
-    `4. Start earning from referrals!\n\n` +
-    `Contact admin for payment details.`
-  );
-});
-
-bot.command('referral', async (ctx) => {
-  const user = findUserById(ctx.from.id);
-  if (!user) {
-    return ctx.reply('❌ Please /start first to register.');
+  
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 3) {
+    return ctx.reply(
+      'Usage: /editpackage <name> <price|commission|duration|renewal|description> <value>\n' +
+      'duration is in days (0 never expires), renewal is the commission paid on each renewal.'
+    );
   }
   
-  const referralLink = `https://t.me/${ctx.botInfo.username}?start=${user.referralCode}`;
-  ctx.reply(`🔗 Your referral link:\n${referralLink}`);
-});
-
-bot.command('myrefs', async (ctx) => {
-  const user = findUserById(ctx.from.id);
-  if (!user) {
-    return ctx.reply('❌ Please /start first to register.');
+  const pkg = findPackage(args[0]);
+  if (!pkg) {
+    return ctx.reply('❌ Package not found.');
   }
   
-  const referrals = db.data.users.filter(u => u.referredBy === user.referralCode);
+  const field = args[1];
+  const key = PACKAGE_NUMBER_FIELDS[field] || field;
+  const value = args.slice(2).join(' ');
+  const before = pkg[key];
   
-  if (referrals.length === 0) {
-    return ctx.reply('👥 You have no referrals yet.');
+  if (PACKAGE_NUMBER_FIELDS[field]) {
+    const amount = parseInt(value);
+    if (isNaN(amount) || amount < 0) {
+      return ctx.reply('❌ Value must be a positive number.');
+    }
+    pkg[key] = amount;
+  } else if (field === 'description') {
+    pkg.description = value === '-' ? '' : value;
+  } else {
+    return ctx.reply('❌ Unknown field. Use price, commission, duration, renewal or description.');
   }
   
-  let message = '👥 Your referrals:\n';
-  referrals.forEach(ref => {
-    message += `- ${ref.name} (ID: ${ref.id}) — ${ref.package || 'Pending'} ${ref.package ? '✅' : '❌'}\n`;
-  });
+  pkg.updatedAt = new Date().toISOString();
+  recordAudit(getActor(ctx.from, ctx.message.text), 'package_edit', { package: pkg.name },
+    { [key]: before }, { [key]: pkg[key] });
+  await saveDB();
   
-  ctx.reply(message);
+  ctx.reply(`✅ Package ${pkg.name} updated: ${field} = ${pkg[key] || 'none'}`);
 });
 
-bot.command('balance', async (ctx) => {
-  const user = findUserById(ctx.from.id);
-  if (!user) {
-    return ctx.reply('❌ Please /start first to register.');
+bot.command(['activatepackage', 'deactivatepackage'], async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
   }
   
-  const referrals = db.data.users.filter(u => u.referredBy === user.referralCode);
-  const referralLink = `https://t.me/${ctx.botInfo.username}?start=${user.referralCode}`;
+  const activate = ctx.command === 'activatepackage';
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 1) {
+    return ctx.reply(`Usage: /${ctx.command} <name>`);
+  }
   
-  let message = `💰 Your balance: ${user.balance} ETB\n\n`;
-  message += `👥 Referrals: ${referrals.length}\n`;
-  message += `🔗 Referral link:\n${referralLink}`;
+  const pkg = findPackage(args[0]);
+  if (!pkg) {
+    return ctx.reply('❌ Package not found.');
+  }
   
-  ctx.reply(message);
+  recordAudit(getActor(ctx.from, ctx.message.text), activate ? 'package_activate' : 'package_deactivate',
+    { package: pkg.name }, { active: pkg.active }, { active: activate });
+  pkg.active = activate;
+  pkg.updatedAt = new Date().toISOString();
+  await saveDB();
+  
+  ctx.reply(`✅ Package ${pkg.name} ${activate ? 'activated' : 'deactivated'}.`);
 });
 
-bot.command('withdraw', (ctx) => {
-  const user = findUserById(ctx.from.id);
-  if (!user) {
-    return ctx.reply('❌ Please /start first to register.');
+bot.command('movepackage', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
   }
   
-  if (user.balance < MIN_WITHDRAW) {
-    return ctx.reply(`⚠️ Minimum withdraw is ${MIN_WITHDRAW} ETB. Your balance: ${user.balance} ETB`);
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 2) {
+    return ctx.reply('Usage: /movepackage <name> <position>');
   }
   
-  userSessions[ctx.from.id] = { action: 'withdraw', step: 'amount' };
-  ctx.reply(`💰 Enter the amount you want to withdraw (must end with 00), or type 'cancel' to abort.`);
-});
-
-bot.command('myid', (ctx) => {
-  ctx.reply(`Your ID: ${ctx.from.id}`);
+  const pkg = findPackage(args[0]);
+  const position = parseInt(args[1]);
+  if (!pkg) {
+    return ctx.reply('❌ Package not found.');
+  }
+  
+  if (isNaN(position) || position < 1) {
+    return ctx.reply('❌ Position must be a number starting from 1.');
+  }
+  
+  const before = getPackages(true).map(p => p.name);
+  const ordered = getPackages(true).filter(p => p !== pkg);
+  ordered.splice(Math.min(position, ordered.length + 1) - 1, 0, pkg);
+  ordered.forEach((p, index) => {
+    p.order = index;
+  });
+  recordAudit(getActor(ctx.from, ctx.message.text), 'package_move', { package: pkg.name },
+    { order: before }, { order: ordered.map(p => p.name) });
+  await saveDB();
+  
+  ctx.reply('✅ New order: ' + ordered.map(p => p.name).join(', '));
 });
 
-// Admin commands
-bot.command('users', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('refund', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
-  if (db.data.users.length === 0) {
-    return ctx.reply('No users registered yet.');
+  const args = ctx.message.text.split(' ').slice(1);
+  if (args.length < 1) {
+    return ctx.reply('Usage: /refund <purchaseId> [reason]');
+  }
+  
+  const purchase = db.data.purchases.find(p => p.id === args[0]);
+  const upgrade = purchase && !purchase.refundedAt && findUpgradeBuiltOn(purchase);
+  if (upgrade) {
+    return ctx.reply(`❌ Upgrade ${upgrade.id} (${upgrade.upgradeFrom} → ${upgrade.package}) builds on this purchase. Refund the upgrade first.`);
   }
   
-  let message = '👥 Users:\n\n';
-  db.data.users.forEach(user => {
-    message += `ID: ${user.id} | ${user.name} | ${user.package || 'No Package'} | Balance: ${user.balance} ETB\n`;
+  const result = await refundPurchase(args[0], args.slice(1).join(' '), getActor(ctx.from, ctx.message.text));
+  if (!result) {
+    return ctx.reply('❌ Purchase not found or already refunded.');
+  }
+  
+  let message = `✅ Refunded ${result.purchase.package} purchase ${result.purchase.id}.\n`;
+  result.clawbacks.forEach(({ commission, referrer }) => {
+    const label = commission.milestone ? `Milestone bonus (${commission.milestone} referrals)` : `Level ${commission.level}`;
+    message += `${label}: -${commission.amount} ETB from ${referrer?.name || commission.userId}${referrer?.balance < 0 ? ` (balance ${referrer.balance} ETB)` : ''}\n`;
   });
+  if (result.clawbacks.length === 0) {
+    message += 'No commission to claw back.';
+  }
   
   ctx.reply(message);
 });
 
-bot.command('user', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('ledger', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
   const args = ctx.message.text.split(' ').slice(1);
   if (args.length < 1) {
-    return ctx.reply('Usage: /user <userId>');
+    return ctx.reply('Usage: /ledger <userId>');
   }
   
   const userId = parseInt(args[0]);
@@ -384,439 +4263,700 @@ bot.command('user', async (ctx) => {
     return ctx.reply('❌ User not found.');
   }
   
-  const referrals = db.data.users.filter(u => u.referredBy === user.referralCode);
-  
-  let message = `👤 User Details:\n\n`;
-  message += `ID: ${user.id}\n`;
-  message += `Name: ${user.name}\n`;
-  message += `Package: ${user.package || 'None'}\n`;
-  message += `Balance: ${user.balance} ETB\n`;
-  message += `Referral Code: ${user.referralCode}\n`;
-  message += `Referred By: ${user.referredBy || 'None'}\n`;
-  message += `Joined: ${new Date(user.createdAt).toLocaleDateString()}\n\n`;
-  message += `Referrals: ${referrals.length}\n`;
+  const entries = getLedgerEntries(userId).slice(-30);
+  const ledgerBalance = getLedgerBalance(userId);
   
-  referrals.forEach(ref => {
-    message += `- ${ref.name} (${ref.package || 'Pending'})\n`;
+  let message = `📒 Ledger for ${user.name}:\n\n`;
+  entries.forEach(entry => {
+    message += `${entry.id} | ${formatLedgerEntry(entry)}\n`;
   });
+  if (entries.length === 0) {
+    message += 'No entries.\n';
+  }
+  
+  message += `\nStored balance: ${user.balance} ETB\n`;
+  message += `Ledger balance: ${ledgerBalance} ETB ${ledgerBalance === user.balance ? '✅' : '⚠️ MISMATCH'}`;
   
   ctx.reply(message);
 });
 
-bot.command('add_pending', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('ledger_check', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
-  const args = ctx.message.text.split(' ').slice(1);
-  if (args.length < 2) {
-    return ctx.reply('Usage: /add_pending <userId> <package> [note]');
-  }
-  
-  const userId = parseInt(args[0]);
-  const packageName = args[1];
-  const note = args.slice(2).join(' ') || '';
-  
-  if (isNaN(userId)) {
-    return ctx.reply('❌ Invalid user ID.');
+  const mismatches = findBalanceMismatches();
+  if (mismatches.length === 0) {
+    return ctx.reply('✅ All user balances match the ledger.');
   }
   
-  if (!PACKAGES[packageName]) {
-    return ctx.reply('❌ Invalid package. Available: ' + Object.keys(PACKAGES).join(', '));
-  }
+  let message = `⚠️ ${mismatches.length} user(s) with balance mismatches:\n\n`;
+  mismatches.forEach(({ user, ledgerBalance }) => {
+    message += `ID: ${user.id} | ${user.name} | Stored: ${user.balance} ETB | Ledger: ${ledgerBalance} ETB\n`;
+  });
   
-  const user = findUserById(userId);
-  if (!user) {
-    return ctx.reply('❌ User not found.');
+  ctx.reply(message);
+});
+
+bot.command('flags', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
+    return ctx.reply('❌ You are not authorized.');
   }
   
-  const pendingPurchase = {
-    id: nanoid(8),
-    userId: userId,
-    package: packageName,
-    note: note,
-    createdAt: new Date().toISOString()
-  };
-  
-  db.data.pendingPurchases.push(pendingPurchase);
-  await saveDB();
+  await sendListing(ctx, 'flag', 'open');
+});
+
+bot.command('audit', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
+  }
   
-  try {
-    await ctx.telegram.sendMessage(
-      userId,
-      `📦 Your ${packageName} package purchase is pending admin confirmation.`
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  const target = args[0] && args[0] !== 'all' ? args[0] : null;
+  const days = args[1] ? parseInt(args[1]) : AUDIT_DEFAULT_DAYS;
+  if (isNaN(days) || days < 1) {
+    return ctx.reply(
+      'Usage: /audit [userId|withdrawId|all] [days]\n' +
+      `Shows admin changes from the last ${AUDIT_DEFAULT_DAYS} days by default.\n` +
+      'Export everything with /export audit'
     );
-  } catch (error) {
-    console.log('Could not notify user:', error.message);
   }
   
-  ctx.reply(`✅ Added pending purchase for user ${userId}`);
+  await replyWithListing(ctx, 'audit', [target && `target:${target}`, `days:${days}`].filter(Boolean).join(' '));
 });
 
-bot.command('pending', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('export', async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
-  if (db.data.pendingPurchases.length === 0) {
-    return ctx.reply('No pending purchases.');
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  if (args.length < 1) {
+    return ctx.reply(
+      'Usage: /export <dataset> [status] [from] [to] [xlsx]\n' +
+      `Datasets: ${Object.keys(EXPORT_DATASETS).join(', ')}\n` +
+      'Example: /export withdrawals paid 2026-09-01 2026-09-30\n' +
+      'Paid withdrawals also count as approved.'
+    );
+  }
+  
+  const options = parseExportArgs(args);
+  if (options.error) {
+    return ctx.reply(options.error);
+  }
+  if (options.dataset.roles && !isAdmin(ctx, ...options.dataset.roles)) {
+    return ctx.reply('❌ You are not authorized.');
   }
   
-  let message = '📦 Pending Purchases:\n\n';
-  db.data.pendingPurchases.forEach(purchase => {
-    const user = findUserById(purchase.userId);
-    message += `ID: ${purchase.id} | User: ${user?.name || purchase.userId} | Package: ${purchase.package} | Note: ${purchase.note}\n`;
+  const rows = buildExportRows(options);
+  if (rows.length === 0) {
+    return ctx.reply('No records match these filters.');
+  }
+  
+  const headers = Object.keys(options.dataset.columns);
+  const file = await createExportFile(headers, rows, options.format);
+  const filename = [options.name, options.status, ...options.dates].filter(Boolean).join('_') + '.' + options.format;
+  await ctx.replyWithDocument({ source: file, filename }, { caption: `📤 ${rows.length} ${options.name} exported.` });
+});
+
+bot.command('admins', async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.reply('❌ You are not authorized.');
+  }
+  
+  let message = '🛡 Admins:\n\n';
+  db.data.admin.admins.forEach(admin => {
+    const user = findUserById(admin.id);
+    message += `ID: ${admin.id} | ${user?.name || 'Unknown'} | Roles: ${admin.roles.join(', ')}\n`;
   });
   
   ctx.reply(message);
 });
 
-bot.command('confirm', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('addadmin', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
   const args = ctx.message.text.split(' ').slice(1);
   if (args.length < 2) {
-    return ctx.reply('Usage: /confirm <userId> <package>');
+    return ctx.reply(`Usage: /addadmin <userId> <role>[,role]\nRoles: ${ADMIN_ROLES.join(', ')}`);
   }
   
   const userId = parseInt(args[0]);
-  const packageName = args[1];
+  const roles = args[1].split(',').map(role => role.trim().toLowerCase());
   
   if (isNaN(userId)) {
     return ctx.reply('❌ Invalid user ID.');
   }
   
-  if (!PACKAGES[packageName]) {
-    return ctx.reply('❌ Invalid package. Available: ' + Object.keys(PACKAGES).join(', '));
+  if (roles.some(role => !ADMIN_ROLES.includes(role))) {
+    return ctx.reply(`❌ Invalid role. Available: ${ADMIN_ROLES.join(', ')}`);
   }
   
-  const success = await confirmPurchase(userId, packageName);
-  if (!success) {
-    return ctx.reply('❌ Failed to confirm purchase. User not found.');
+  let admin = findAdmin(userId);
+  const before = admin ? [...admin.roles] : [];
+  if (admin) {
+    admin.roles = [...new Set([...admin.roles, ...roles])];
+  } else {
+    admin = { id: userId, roles: roles, addedBy: ctx.from.id, addedAt: new Date().toISOString() };
+    db.data.admin.admins.push(admin);
   }
+  recordAudit(getActor(ctx.from, ctx.message.text), 'admin_add', { userId }, { roles: before }, { roles: admin.roles });
+  await saveDB();
   
   try {
-    await ctx.telegram.sendMessage(
-      userId,
-      `✅ Your ${packageName} package has been confirmed! You can now start earning from referrals.`
-    );
+    await ctx.telegram.sendMessage(userId, `🛡 You have been granted admin roles: ${admin.roles.join(', ')}`);
   } catch (error) {
-    console.log('Could not notify user:', error.message);
+    logNotificationFailure('admin', error, userId);
   }
   
-  ctx.reply(`✅ Package confirmed for user ${userId}`);
+  ctx.reply(`✅ Admin ${userId} now has roles: ${admin.roles.join(', ')}`);
 });
 
-bot.command('refs', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('removeadmin', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
   const args = ctx.message.text.split(' ').slice(1);
   if (args.length < 1) {
-    return ctx.reply('Usage: /refs <userId>');
+    return ctx.reply('Usage: /removeadmin <userId> [role][,role]');
   }
   
   const userId = parseInt(args[0]);
-  if (isNaN(userId)) {
-    return ctx.reply('❌ Invalid user ID.');
-  }
+  const roles = args[1] ? args[1].split(',').map(role => role.trim().toLowerCase()) : null;
   
-  const user = findUserById(userId);
-  if (!user) {
-    return ctx.reply('❌ User not found.');
+  const admin = findAdmin(userId);
+  if (!admin) {
+    return ctx.reply('❌ Admin not found.');
   }
   
-  const referrals = db.data.users.filter(u => u.referredBy === user.referralCode);
+  if (roles && !roles.some(role => admin.roles.includes(role))) {
+    return ctx.reply(`❌ Admin ${userId} doesn't have that role. Current roles: ${admin.roles.join(', ')}`);
+  }
   
-  if (referrals.length === 0) {
-    return ctx.reply('This user has no referrals.');
+  const remainingRoles = roles ? admin.roles.filter(r => !roles.includes(r)) : [];
+  const otherOwners = db.data.admin.admins.filter(a => a !== admin && a.roles.includes('owner'));
+  if (admin.roles.includes('owner') && !remainingRoles.includes('owner') && otherOwners.length === 0) {
+    return ctx.reply('❌ Cannot remove the last owner.');
   }
   
-  let message = `👥 Referrals of ${user.name}:\n\n`;
-  referrals.forEach(ref => {
-    message += `- ${ref.name} (ID: ${ref.id}) — ${ref.package || 'Pending'} ${ref.package ? '✅' : '❌'}\n`;
-  });
+  recordAudit(getActor(ctx.from, ctx.message.text), 'admin_remove', { userId },
+    { roles: admin.roles }, { roles: remainingRoles });
+  if (remainingRoles.length > 0) {
+    admin.roles = remainingRoles;
+  } else {
+    db.data.admin.admins = db.data.admin.admins.filter(a => a !== admin);
+  }
+  await saveDB();
   
-  ctx.reply(message);
+  ctx.reply(remainingRoles.length > 0
+    ? `✅ Admin ${userId} now has roles: ${remainingRoles.join(', ')}`
+    : `✅ Admin ${userId} removed.`);
 });
 
-bot.command('withdrawals', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('backups', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
-  if (db.data.withdraws.length === 0) {
-    return ctx.reply('No withdrawal requests.');
+  const backups = listBackups();
+  if (backups.length === 0) {
+    return ctx.reply('No backups yet. Use /backup to create one.');
   }
   
-  let message = '💳 Withdrawal Requests:\n\n';
-  db.data.withdraws.forEach(withdraw => {
-    const user = findUserById(withdraw.userId);
-    message += `ID: ${withdraw.id} | User: ${user?.name || withdraw.userId} | Amount: ${withdraw.amount} ETB | Method: ${withdraw.paymentMethod} | Status: ${withdraw.status}\n`;
+  let message = `💾 Backups (${backups.length}, newest first):\n\n`;
+  backups.slice(0, 20).forEach(backup => {
+    const verified = verifyBackup(backup.name);
+    const status = verified === null ? '➖ no checksum' : verified ? '✅' : '⚠️ CHECKSUM MISMATCH';
+    message += `${backup.name} | ${(backup.size / 1024).toFixed(1)} KB | ${status}\n`;
   });
+  message += `\n/getbackup <name> - Download a backup\n/restore <name> - Restore a backup`;
   
   ctx.reply(message);
 });
 
-bot.command('approve', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('backup', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
-  const args = ctx.message.text.split(' ').slice(1);
-  if (args.length < 1) {
-    return ctx.reply('Usage: /approve <withdrawId> [note]');
+  try {
+    const name = await createBackup('manual');
+    pruneBackups();
+    ctx.reply(`✅ Backup created: ${name}`);
+  } catch (error) {
+    console.error('❌ Backup failed:', error);
+    ctx.reply('❌ Backup failed: ' + error.message);
+  }
+});
+
+bot.command('getbackup', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
+    return ctx.reply('❌ You are not authorized.');
   }
   
-  const withdrawId = args[0];
-  const note = args.slice(1).join(' ') || '';
+  const name = ctx.message.text.split(' ')[1];
+  if (!name) {
+    return ctx.reply('Usage: /getbackup <name>');
+  }
   
-  const success = await approveWithdrawRequest(withdrawId, note);
-  if (!success) {
-    return ctx.reply('❌ Withdraw request not found or not pending.');
+  if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(path.join(BACKUPS_DIR, name))) {
+    return ctx.reply('❌ Backup not found.');
   }
   
-  ctx.reply('✅ Withdrawal approved.');
+  await ctx.replyWithDocument({ source: path.join(BACKUPS_DIR, name), filename: name });
 });
 
-bot.command('reject', async (ctx) => {
-  if (!isAdmin(ctx)) {
+bot.command('restore', async (ctx) => {
+  if (!isAdmin(ctx, 'owner')) {
     return ctx.reply('❌ You are not authorized.');
   }
   
   const args = ctx.message.text.split(' ').slice(1);
   if (args.length < 1) {
-    return ctx.reply('Usage: /reject <withdrawId> [reason]');
+    return ctx.reply('Usage: /restore <name> [confirm]');
   }
   
-  const withdrawId = args[0];
-  const reason = args.slice(1).join(' ') || '';
-  
-  const success = await rejectWithdrawRequest(withdrawId, reason);
-  if (!success) {
-    return ctx.reply('❌ Withdraw request not found or not pending.');
+  const name = args[0];
+  if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(path.join(BACKUPS_DIR, name))) {
+    return ctx.reply('❌ Backup not found.');
   }
   
-  ctx.reply('✅ Withdrawal rejected.');
-});
-
-bot.command('broadcast', async (ctx) => {
-  if (!isAdmin(ctx)) {
-    return ctx.reply('❌ You are not authorized.');
+  if (verifyBackup(name) === false) {
+    return ctx.reply('❌ Checksum mismatch. This backup is corrupted and was not restored.');
   }
   
-  const message = ctx.message.text.split(' ').slice(1).join(' ');
-  if (!message) {
-    return ctx.reply('Usage: /broadcast <message>');
+  let data;
+  try {
+    data = readBackup(name);
+  } catch (error) {
+    return ctx.reply('❌ Could not read backup: ' + error.message);
   }
   
-  let successCount = 0;
-  let failCount = 0;
+  const errors = validateSchema(data);
+  if (errors.length > 0) {
+    return ctx.reply('❌ Backup failed the schema check:\n' + errors.join('\n'));
+  }
   
-  for (const user of db.data.users) {
-    try {
-      await ctx.telegram.sendMessage(user.id, `📢 Broadcast from admin:\n\n${message}`);
-      successCount++;
-    } catch (error) {
-      failCount++;
-      console.log(`Could not send to user ${user.id}:`, error.message);
-    }
+  if (args[1] !== 'confirm') {
+    return ctx.reply(
+      `🗂 ${name}\n\n` +
+      `Users: ${data.users.length}\n` +
+      `Pending purchases: ${data.pendingPurchases.length}\n` +
+      `Withdrawals: ${data.withdraws.length}\n\n` +
+      `Send /restore ${name} confirm to replace the current data. A safety snapshot is taken first.`
+    );
   }
   
-  db.data.admin.broadcasts.push({
-    message: message,
-    sentAt: new Date().toISOString(),
-    success: successCount,
-    failed: failCount
-  });
+  const safetyName = await createBackup('pre-restore');
+  // The audit trail is not rolled back with the data, so the restore itself stays on record
+  data.audit = db.data.audit;
+  recordAudit(getActor(ctx.from, ctx.message.text), 'restore', { backup: name },
+    { users: users.count(), snapshot: safetyName }, { users: data.users.length });
+  users.load(data);
+  initializeData(data);
+  db.data = data;
+  scheduleReports();
   await saveDB();
   
-  ctx.reply(`📢 Broadcast sent to ${successCount} users. Failed: ${failCount}`);
+  ctx.reply(`✅ Restored ${name}.\nSafety snapshot of the previous data: ${safetyName}`);
 });
 
-bot.command('stats', async (ctx) => {
-  if (!isAdmin(ctx)) {
-    return ctx.reply('❌ You are not authorized.');
+// Inline button handlers
+bot.action(/^order:(.+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    return ctx.reply(ctx.t('register.first'));
   }
   
-  const totalUsers = db.data.users.length;
-  const activeUsers = db.data.users.filter(u => u.package).length;
-  const pendingPurchases = db.data.pendingPurchases.length;
-  const pendingWithdrawals = db.data.withdraws.filter(w => w.status === 'pending').length;
+  const pkg = findPackage(ctx.match[1]);
+  if (!pkg || !pkg.active) {
+    return ctx.reply(ctx.t('order.unavailable'));
+  }
   
-  let totalCommission = 0;
-  db.data.users.forEach(user => {
-    totalCommission += user.balance;
-  });
+  if (db.data.pendingPurchases.some(purchase => purchase.userId === user.id)) {
+    return ctx.reply(ctx.t('order.alreadyPending'));
+  }
   
-  ctx.reply(
-    `📊 Bot Statistics:\n\n` +
-    `Total Users: ${totalUsers}\n` +
-    `Active Users: ${activeUsers}\n` +
-    `Pending Purchases: ${pendingPurchases}\n` +
-    `Pending Withdrawals: ${pendingWithdrawals}\n` +
-    `Total Commission Held: ${totalCommission} ETB`
-  );
-});
-
-bot.command('sales', async (ctx) => {
-  if (!isAdmin(ctx)) {
-    return ctx.reply('❌ You are not authorized.');
+  if (hasPackageExpired(user)) {
+    return ctx.reply(ctx.t('order.renewFirst', { package: user.package }));
   }
   
-  const sales = {};
-  db.data.users.forEach(user => {
-    if (user.package) {
-      sales[user.package] = (sales[user.package] || 0) + 1;
-    }
-  });
+  const change = getPackageChange(user, pkg);
+  if (change && change.kind !== 'upgrade') {
+    return ctx.reply(ctx.t('order.notUpgrade', { current: change.from }));
+  }
   
-  let message = '📈 Sales by Package:\n\n';
-  for (const [packageName, count] of Object.entries(sales)) {
-    message += `${packageName}: ${count} sales\n`;
+  await startConversation(ctx.from.id, 'order', { package: pkg.name });
+});
+
+bot.action(/^language:(\w+)$/, async (ctx) => {
+  const user = findUserById(ctx.from.id);
+  if (!user) {
+    await ctx.answerCbQuery();
+    return ctx.reply(ctx.t('register.first'));
   }
   
-  if (Object.keys(sales).length === 0) {
-    message += 'No sales yet.';
+  if (LANGUAGES[ctx.match[1]]) {
+    user.language = ctx.match[1];
+    await saveDB();
   }
   
-  ctx.reply(message);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t('language.changed'));
 });
 
-bot.command('setpackage', async (ctx) => {
-  if (!isAdmin(ctx)) {
-    return ctx.reply('❌ You are not authorized.');
+bot.action(/^purchase_confirm:([^:]+)(:list)?$/, async (ctx) => {
+  if (!isAdmin(ctx, 'sales')) {
+    return ctx.answerCbQuery('❌ You are not authorized.');
   }
   
-  const args = ctx.message.text.split(' ').slice(1);
-  if (args.length < 2) {
-    return ctx.reply('Usage: /setpackage <userId> <package>');
+  const pendingPurchase = findPendingPurchaseById(ctx.match[1]);
+  if (!pendingPurchase) {
+    return ctx.answerCbQuery('This order was already handled.');
   }
   
-  const userId = parseInt(args[0]);
-  const packageName = args[1];
+  const change = getPackageChange(findUserById(pendingPurchase.userId), findPackage(pendingPurchase.package));
+  if (isExpiredUpgrade(change)) {
+    return ctx.answerCbQuery(`❌ The user's ${change.from} package has expired. It has to be renewed before upgrading.`);
+  }
   
-  if (isNaN(userId)) {
-    return ctx.reply('❌ Invalid user ID.');
+  const success = await confirmPurchase(pendingPurchase.userId, pendingPurchase.package, getActor(ctx.from, ctx.callbackQuery.data));
+  await ctx.answerCbQuery(success ? '✅ Purchase confirmed.' : '❌ Failed to confirm purchase.');
+  if (ctx.match[2]) {
+    await refreshListing(ctx.chat.id, ctx.callbackQuery.message.message_id, 'purchase');
+  }
+});
+
+bot.action(/^withdraw_approve:([^:]+)(:list)?$/, async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
+    return ctx.answerCbQuery('❌ You are not authorized.');
   }
   
-  if (!PACKAGES[packageName]) {
-    return ctx.reply('❌ Invalid package. Available: ' + Object.keys(PACKAGES).join(', '));
+  const success = await approveWithdrawRequest(ctx.match[1], '', getActor(ctx.from, ctx.callbackQuery.data));
+  await ctx.answerCbQuery(success ? '✅ Withdrawal approved.' : 'This request was already handled.');
+  if (ctx.match[2]) {
+    await refreshListing(ctx.chat.id, ctx.callbackQuery.message.message_id, 'withdraw');
+  }
+});
+
+bot.action(/^listing_page:(\d+)$/, async (ctx) => {
+  const { chat, message_id: messageId } = ctx.callbackQuery.message;
+  const listing = listings.get(`${chat.id}:${messageId}`);
+  if (!listing) {
+    return ctx.answerCbQuery('⌛ This listing has expired. Run the command again.');
+  }
+  if (!isAdmin(ctx, ...LISTINGS[listing.kind].roles)) {
+    return ctx.answerCbQuery('❌ You are not authorized.');
   }
   
-  const user = findUserById(userId);
-  if (!user) {
-    return ctx.reply('❌ User not found.');
+  await ctx.answerCbQuery();
+  await refreshListing(chat.id, messageId, listing.kind, parseInt(ctx.match[1]));
+});
+
+bot.action(/^user:(\d+)$/, async (ctx) => {
+  if (!isAdmin(ctx)) {
+    return ctx.answerCbQuery('❌ You are not authorized.');
   }
   
-  user.package = packageName;
-  user.packageConfirmedAt = new Date().toISOString();
-  await saveDB();
+  const user = findUserById(parseInt(ctx.match[1]));
+  if (!user) {
+    return ctx.answerCbQuery('❌ User not found.');
+  }
   
-  try {
-    await ctx.telegram.sendMessage(
-      userId,
-      `✅ Admin has set your package to ${packageName}.`
-    );
-  } catch (error) {
-    console.log('Could not notify user:', error.message);
+  await ctx.answerCbQuery();
+  await ctx.reply(formatUserDetails(user));
+});
+
+bot.action(/^flag_(dismiss|confirm):(.+)$/, async (ctx) => {
+  if (!isAdmin(ctx, 'finance')) {
+    return ctx.answerCbQuery('❌ You are not authorized.');
   }
   
-  ctx.reply(`✅ Package set for user ${userId}`);
+  const resolution = ctx.match[1] === 'dismiss' ? 'dismissed' : 'confirmed';
+  const success = await resolveFlag(ctx.match[2], resolution, getActor(ctx.from, ctx.callbackQuery.data));
+  await ctx.answerCbQuery(success ? `✅ Flag ${resolution}.` : 'This flag was already reviewed.');
+  await refreshListing(ctx.chat.id, ctx.callbackQuery.message.message_id, 'flag');
 });
 
-// Handle text messages for withdrawal process
-bot.on('text', async (ctx) => {
-  const userId = ctx.from.id;
-  const text = ctx.message.text;
-  const session = userSessions[userId];
+// Rejections ask for a reason first through the reject conversation
+bot.action(/^(purchase|withdraw)_reject:([^:]+)(:list)?$/, async (ctx) => {
+  const [, kind, id, fromList] = ctx.match;
+  if (!isAdmin(ctx, kind === 'withdraw' ? 'finance' : 'sales')) {
+    return ctx.answerCbQuery('❌ You are not authorized.');
+  }
   
-  if (!session) return;
+  const handled = kind === 'withdraw'
+    ? findWithdrawRequest(id)?.status !== 'pending'
+    : !findPendingPurchaseById(id);
+  if (handled) {
+    return ctx.answerCbQuery('This request was already handled.');
+  }
   
-  if (text.toLowerCase() === 'cancel') {
-    delete userSessions[userId];
-    return ctx.reply('❌ Withdraw canceled.');
+  await ctx.answerCbQuery();
+  await startConversation(ctx.from.id, 'reject', {
+    kind: kind,
+    targetId: id,
+    listMessageId: fromList ? ctx.callbackQuery.message.message_id : null
+  });
+});
+
+// Route replies and receipt photos to the user's open conversation
+bot.on(['text', 'photo'], async (ctx) => {
+  await handleConversationInput(ctx);
+});
+
+// Error handling
+bot.catch((err, ctx) => {
+  console.error(`Error for ${ctx.updateType}:`, err);
+  ctx.reply(t(getLanguage(ctx.from?.id, ctx.from?.language_code), 'error.generic'));
+});
+
+// Admin HTTP API. Searches take the same filter words as the matching admin
+// listing command, and actions go through the same functions as the buttons.
+function parseApiUserId(value) {
+  const userId = parseInt(value);
+  const user = findUserById(userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  return user;
+}
+
+function listApiItems(kind, query) {
+  const listing = LISTINGS[kind];
+  const { matches, error } = parseListingQuery(listing, query.q || '');
+  if (error) {
+    throw new ApiError(400, error.replace('❌ ', ''));
   }
   
-  if (session.action === 'withdraw') {
-    if (session.step === 'amount') {
-      const amount = parseInt(text);
-      
-      if (isNaN(amount) || !text.endsWith('00')) {
-        return ctx.reply('⚠️ Invalid amount. Must be a number ending with 00. Try again or type "cancel".');
+  const items = listing.items().filter(matches);
+  const limit = Math.min(parseInt(query.limit) || API_PAGE_SIZE, API_MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { total: items.length, page, limit, items: items.slice((page - 1) * limit, page * limit) };
+}
+
+function apiActor(command) {
+  return { id: null, name: API_ACTOR_NAME, command: `API ${command}` };
+}
+
+function buildReferralTree(user, depth) {
+  return {
+    id: user.id,
+    name: user.name,
+    package: user.package,
+    joinedAt: user.createdAt,
+    referrals: depth > 0 ? findReferrals(user).map(ref => buildReferralTree(ref, depth - 1)) : undefined
+  };
+}
+
+const API_ROUTES = [
+  {
+    method: 'GET',
+    path: '/users',
+    handler: ({ query }) => listApiItems('user', query)
+  },
+  {
+    method: 'GET',
+    path: '/users/:id',
+    handler: ({ params }) => {
+      const user = parseApiUserId(params.id);
+      return {
+        ...user,
+        referrals: findReferrals(user).length,
+        openFlags: findOpenFlags(user.id).length,
+        earningsByLevel: getEarningsByLevel(user.id),
+        purchases: db.data.purchases.filter(purchase => purchase.userId === user.id)
+      };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/users/:id/referrals',
+    handler: ({ params, query }) => {
+      const depth = Math.min(Math.max(parseInt(query.depth) || REFERRAL_TIERS.length, 1), 10);
+      return buildReferralTree(parseApiUserId(params.id), depth);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/pending-purchases',
+    handler: ({ query }) => listApiItems('purchase', query)
+  },
+  {
+    method: 'POST',
+    path: '/pending-purchases/:id/confirm',
+    handler: async ({ params }) => {
+      const pendingPurchase = findPendingPurchaseById(params.id);
+      if (!pendingPurchase) {
+        throw new ApiError(404, 'Pending purchase not found');
       }
-      
-      const user = findUserById(userId);
-      if (amount > user.balance) {
-        delete userSessions[userId];
-        return ctx.reply('⚠️ Insufficient balance. Withdraw canceled.');
+      if (!findPackage(pendingPurchase.package)) {
+        throw new ApiError(409, `Package ${pendingPurchase.package} no longer exists`);
       }
-      
-      if (amount < MIN_WITHDRAW) {
-        delete userSessions[userId];
-        return ctx.reply(`⚠️ Minimum withdraw is ${MIN_WITHDRAW} ETB. Withdraw canceled.`);
+      const change = getPackageChange(findUserById(pendingPurchase.userId), findPackage(pendingPurchase.package));
+      if (isExpiredUpgrade(change)) {
+        throw new ApiError(409, `The user's ${change.from} package has expired and has to be renewed before upgrading`);
       }
       
-      session.amount = amount;
-      session.step = 'method';
-      ctx.reply('💳 Choose payment method:\n1) Telebirr\n2) CBE\n3) Transfer\nOr type "cancel" to abort.');
-      
-    } else if (session.step === 'method') {
-      let paymentMethod;
-      
-      if (text.includes('1') || text.toLowerCase().includes('telebirr')) {
-        paymentMethod = 'Telebirr';
-      } else if (text.includes('2') || text.toLowerCase().includes('cbe')) {
-        paymentMethod = 'CBE';
-      } else if (text.includes('3') || text.toLowerCase().includes('transfer')) {
-        paymentMethod = 'Transfer';
-      } else {
-        return ctx.reply('⚠️ Invalid method. Choose 1, 2, or 3, or type "cancel".');
+      const success = await confirmPurchase(pendingPurchase.userId, pendingPurchase.package, apiActor(`POST /pending-purchases/${params.id}/confirm`));
+      if (!success) {
+        throw new ApiError(409, 'Purchase could not be confirmed');
       }
-      
-      const withdrawRequest = await createWithdrawRequest(userId, session.amount, paymentMethod);
-      
-      if (withdrawRequest) {
-        ctx.reply(`📩 Withdraw request submitted: ${session.amount} ETB via ${paymentMethod}. Admin will process it soon.`);
-        
-        // Notify admin
-        const user = findUserById(userId);
-        try {
-          await ctx.telegram.sendMessage(
-            process.env.ADMIN_ID,
-            `🆕 New withdrawal request:\n\n` +
-            `User: ${user.name} (ID: ${userId})\n` +
-            `Amount: ${session.amount} ETB\n` +
-            `Method: ${paymentMethod}\n` +
-            `Request ID: ${withdrawRequest.id}`
-          );
-        } catch (error) {
-          console.log('Could not notify admin:', error.message);
-        }
-      } else {
-        ctx.reply('❌ Failed to create withdraw request. Please try again.');
+      return db.data.purchases.find(purchase => purchase.id === pendingPurchase.id);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/withdrawals',
+    handler: ({ query }) => listApiItems('withdraw', query)
+  },
+  {
+    method: 'POST',
+    path: '/withdrawals/:id/approve',
+    handler: async ({ params, body }) => {
+      if (!findWithdrawRequest(params.id)) {
+        throw new ApiError(404, 'Withdraw request not found');
       }
-      
-      delete userSessions[userId];
+      if (!await approveWithdrawRequest(params.id, String(body.note || ''), apiActor(`POST /withdrawals/${params.id}/approve`))) {
+        throw new ApiError(409, 'Withdraw request is not pending');
+      }
+      return findWithdrawRequest(params.id);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/withdrawals/:id/reject',
+    handler: async ({ params, body }) => {
+      if (!findWithdrawRequest(params.id)) {
+        throw new ApiError(404, 'Withdraw request not found');
+      }
+      if (!await rejectWithdrawRequest(params.id, String(body.reason || ''), apiActor(`POST /withdrawals/${params.id}/reject`))) {
+        throw new ApiError(409, 'Withdraw request is not pending');
+      }
+      return findWithdrawRequest(params.id);
     }
   }
-});
+];
 
-// Error handling
-bot.catch((err, ctx) => {
-  console.error(`Error for ${ctx.updateType}:`, err);
-  ctx.reply('❌ An error occurred. Please try again later.');
-});
+function startApiServer() {
+  if (!API_PORT) return null;
+  if (!API_TOKEN) {
+    console.error('❌ API_PORT is set without API_TOKEN, so the admin API was not started.');
+    return null;
+  }
+  
+  const server = createApiServer({ token: API_TOKEN, routes: API_ROUTES });
+  server.listen(API_PORT, API_HOST, () => {
+    console.log(`🌐 Admin API listening on http://${API_HOST}:${API_PORT}`);
+  });
+  return server;
+}
+
+// Webhook, health and metrics server
+async function handleHealthCheck(res) {
+  let readable = true;
+  let readError;
+  try {
+    await checkAdapter(adapter);
+  } catch (error) {
+    readable = false;
+    readError = error.message;
+  }
+  
+  const healthy = readable && !dbHealth.lastSaveError;
+  res.writeHead(healthy ? 200 : 503, { 'content-type': 'application/json' });
+  res.end(JSON.stringify({
+    status: healthy ? 'ok' : 'error',
+    mode: BOT_MODE,
+    uptimeSeconds: Math.round(process.uptime()),
+    db: {
+      driver: process.env.DB_DRIVER || 'json',
+      readable,
+      readError,
+      lastSaveAt: dbHealth.lastSaveAt,
+      lastSaveError: dbHealth.lastSaveError
+    }
+  }));
+}
+
+function startHttpServer() {
+  if (!HTTP_PORT) return null;
+  
+  // Anything the webhook filter rejects (other paths, a wrong secret token) falls through to here
+  const handleRequest = (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && pathname === '/healthz') {
+      return handleHealthCheck(res);
+    }
+    if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4' });
+      return res.end(renderMetrics(Object.values(metrics)));
+    }
+    res.writeHead(pathname === WEBHOOK_PATH ? 403 : 404).end();
+  };
+  
+  const webhook = BOT_MODE === 'webhook' && bot.webhookCallback(WEBHOOK_PATH, { secretToken: WEBHOOK_SECRET });
+  const server = http.createServer((req, res) => {
+    if (!webhook) return handleRequest(req, res);
+    
+    // Whatever bot.catch() doesn't handle would otherwise be an unhandled rejection
+    webhook(req, res, () => handleRequest(req, res)).catch(error => {
+      console.error('❌ Webhook update failed:', error);
+      if (!res.headersSent) res.writeHead(500);
+      if (!res.writableEnded) res.end();
+    });
+  });
+  server.listen(HTTP_PORT, HTTP_HOST, () => {
+    console.log(`🌐 HTTP server listening on http://${HTTP_HOST}:${HTTP_PORT}${webhook ? ` (webhook at ${WEBHOOK_PATH})` : ''}`);
+  });
+  return server;
+}
 
 // Start bot
 console.log('🤖 Starting Popposite Referral Bot...');
-bot.launch().then(() => {
-  console.log('✅ Bot is running!');
-});
+if (BOT_MODE === 'webhook' && !WEBHOOK_SECRET) {
+  console.error('❌ BOT_MODE=webhook needs WEBHOOK_SECRET so forged updates can be rejected.');
+  process.exit(1);
+}
+
+resumeBroadcasts();
+scheduleReports();
+const apiServer = startApiServer();
+// Updates need the bot's own info; launch() fetches it for polling, so do the
+// same before the webhook starts taking them
+if (BOT_MODE === 'webhook') {
+  bot.botInfo ??= await bot.telegram.getMe();
+}
+const httpServer = startHttpServer();
+
+if (BOT_MODE === 'webhook') {
+  if (WEBHOOK_DOMAIN) {
+    await bot.telegram.setWebhook(`${WEBHOOK_DOMAIN.replace(/\/$/, '')}${WEBHOOK_PATH}`, { secret_token: WEBHOOK_SECRET });
+  }
+  console.log(`✅ Bot is running in webhook mode${WEBHOOK_DOMAIN ? ` at ${WEBHOOK_DOMAIN}${WEBHOOK_PATH}` : ''}!`);
+} else {
+  // launch() only resolves once polling stops, so log from its startup callback
+  bot.launch(() => {
+    console.log('✅ Bot is running!');
+  });
+}
+
+// Enable graceful stop. Stopping the cron jobs lets the process exit once
+// in-flight work is done.
+function shutdown(signal) {
+  console.log(`Stopping (${signal})...`);
+  cron.getTasks().forEach(task => task.stop());
+  apiServer?.close();
+  httpServer?.close();
+  if (BOT_MODE === 'polling') {
+    bot.stop(signal);
+  }
+}
 
-// Enable graceful stop
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
\ No newline at end of file
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Metrics in the Prometheus text format. Counters and histograms are updated
+// as things happen; gauges read their value when /metrics is scraped.
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+};
+
+export class Counter {
+  #series = new Map(); // formatted labels -> value
+
+  // Label sets past maxSeries are counted under "other" so user input can't grow the output forever
+  constructor(name, help, { maxSeries = 100 } = {}) {
+    this.name = name;
+    this.help = help;
+    this.maxSeries = maxSeries;
+  }
+
+  inc(labels = {}, value = 1) {
+    let key = formatLabels(labels);
+    if (!this.#series.has(key) && this.#series.size >= this.maxSeries) {
+      key = formatLabels(Object.fromEntries(Object.keys(labels).map(label => [label, 'other'])));
+    }
+    this.#series.set(key, (this.#series.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    if (this.#series.size === 0) {
+      lines.push(`${this.name} 0`);
+    }
+    for (const [labels, value] of this.#series) {
+      lines.push(`${this.name}${labels} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export class Gauge {
+  // collect() returns a number, or a list of { labels, value }
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    const value = this.collect();
+    const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      ...series.map(item => `${this.name}${formatLabels(item.labels)} ${item.value}`)
+    ].join('\n');
+  }
+}
+
+export class Histogram {
+  #counts;
+  #sum = 0;
+  #count = 0;
+
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.#counts = this.buckets.map(() => 0);
+  }
+
+  observe(value) {
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) this.#counts[index]++;
+    });
+    this.#sum += value;
+    this.#count++;
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} histogram`,
+      ...this.buckets.map((bucket, index) => `${this.name}_bucket{le="${bucket}"} ${this.#counts[index]}`),
+      `${this.name}_bucket{le="+Inf"} ${this.#count}`,
+      `${this.name}_sum ${this.#sum}`,
+      `${this.name}_count ${this.#count}`
+    ].join('\n');
+  }
+}
+
+export function renderMetrics(metrics) {
+  return metrics.map(metric => metric.render()).join('\n\n') + '\n';
+}
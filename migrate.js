@@ -0,0 +1,66 @@
+import fs from 'fs';
+import { JSONFile } from 'lowdb/node';
+import { openStore } from './storage.js';
+
+// One-shot import of a JSON database into SQLite:
+//   npm run migrate -- [source.json] [target.sqlite] [--force]
+// Reads the target back afterwards and compares record counts and balances.
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const [source = 'db.json', target = 'db.sqlite'] = args.filter(arg => arg !== '--force');
+
+if (!fs.existsSync(source)) {
+  console.error(`❌ ${source} not found.`);
+  process.exit(1);
+}
+
+const data = await new JSONFile(source).read();
+if (!data) {
+  console.error(`❌ ${source} is empty.`);
+  process.exit(1);
+}
+
+const sqlite = await openStore('sqlite', target);
+if ((await sqlite.adapter.read() || sqlite.users.count() > 0) && !force) {
+  console.error(`❌ ${target} already has data. Pass --force to overwrite it.`);
+  process.exit(1);
+}
+
+// load() takes the users out of the data it is given, so hand it a copy
+sqlite.users.load({ ...data });
+await sqlite.adapter.write(data);
+sqlite.adapter.close();
+
+// Verify against a fresh connection so nothing is served from the write cache
+const check = await openStore('sqlite', target);
+const imported = { ...await check.adapter.read(), users: check.users.all() };
+check.adapter.close();
+
+const problems = [];
+for (const [key, value] of Object.entries(data)) {
+  if (!Array.isArray(value)) continue;
+
+  const count = imported[key]?.length ?? 0;
+  console.log(`${key}: ${value.length} -> ${count}`);
+  if (count !== value.length) {
+    problems.push(`${key}: expected ${value.length} records, found ${count}`);
+  }
+}
+
+const importedUsers = new Map(imported.users.map(user => [user.id, user]));
+data.users.forEach(user => {
+  const balance = importedUsers.get(user.id)?.balance;
+  if (balance !== user.balance) {
+    problems.push(`user ${user.id}: expected balance ${user.balance}, found ${balance}`);
+  }
+});
+
+const totalBalance = users => users.reduce((sum, user) => sum + user.balance, 0);
+console.log(`Total balance: ${totalBalance(data.users)} -> ${totalBalance(imported.users)} ETB`);
+
+if (problems.length > 0) {
+  console.error('❌ Migration check failed:\n' + problems.join('\n'));
+  process.exit(1);
+}
+
+console.log(`✅ Migrated ${source} to ${target}. Start the bot with DB_DRIVER=sqlite.`);
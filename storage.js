@@ -0,0 +1,323 @@
+import { JSONFile } from 'lowdb/node';
+
+// Opens the store selected with DB_DRIVER (json when unset or empty). The
+// adapter is a lowdb adapter for every collection except users, which go through
+// the users repository instead:
+//
+//   users.load(data)          takes over data.users from a full snapshot
+//   users.findById(id)
+//   users.findByReferralCode(code)
+//   users.findReferrals(code) users referred by that referral code, oldest first
+//   users.all(), users.count()
+//   users.add(user)
+//   users.save()              persists changes made to the users it returned
+//
+// Both repositories hand out the same object for the same user until the store
+// is closed, so callers change users in place and save.
+export async function openStore(driver, file) {
+  switch (driver || 'json') {
+    case 'json':
+      return { adapter: new JSONFile(file || 'db.json'), users: new JSONUserRepository() };
+    case 'sqlite': {
+      // Loaded on demand so the JSON store works without the native module
+      const { default: Database } = await import('better-sqlite3');
+      const database = new Database(file || 'db.sqlite');
+      return { adapter: new SQLiteAdapter(database), users: new SQLiteUserRepository(database) };
+    }
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}". Use json or sqlite.`);
+  }
+}
+
+// Throws when the store can't be read. SQLite runs a query instead of loading
+// everything; a JSON file has to be read and parsed.
+export async function checkAdapter(adapter) {
+  if (adapter instanceof SQLiteAdapter) {
+    adapter.ping();
+    return;
+  }
+  if (!await adapter.read()) {
+    throw new Error('Database file is missing or empty');
+  }
+}
+
+// Users stay in db.json next to everything else; the repository indexes the
+// loaded array and lowdb writes it back with the rest of the data.
+export class JSONUserRepository {
+  #users = [];
+  #byId = new Map();
+  #byReferralCode = new Map();
+  #byReferrer = new Map();
+
+  load(data) {
+    data.users ||= [];
+    this.#users = data.users;
+    this.#byId.clear();
+    this.#byReferralCode.clear();
+    this.#byReferrer.clear();
+    this.#users.forEach(user => this.#index(user));
+  }
+
+  findById(id) {
+    return this.#byId.get(id);
+  }
+
+  findByReferralCode(code) {
+    return this.#byReferralCode.get(code);
+  }
+
+  findReferrals(code) {
+    return this.#byReferrer.get(code) || [];
+  }
+
+  all() {
+    return this.#users;
+  }
+
+  count() {
+    return this.#users.length;
+  }
+
+  add(user) {
+    this.#users.push(user);
+    this.#index(user);
+  }
+
+  async save() {}
+
+  #index(user) {
+    this.#byId.set(user.id, user);
+    this.#byReferralCode.set(user.referralCode, user);
+    if (user.referredBy) {
+      const referrals = this.#byReferrer.get(user.referredBy) || [];
+      referrals.push(user);
+      this.#byReferrer.set(user.referredBy, referrals);
+    }
+  }
+}
+
+// One row per user, looked up through the indexed id, referral_code and
+// referred_by columns. Those never change after signup, so they are written on
+// add() and only the document is updated on save(). Users are parsed on first
+// lookup and kept; save() writes back the ones whose document changed.
+export class SQLiteUserRepository {
+  #db;
+  #statements;
+  #loaded = new Map(); // id -> user
+  #written = new Map(); // id -> serialized user as last read or written
+
+  constructor(database) {
+    this.#db = database;
+    this.#db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        position INTEGER PRIMARY KEY,
+        id INTEGER NOT NULL,
+        referral_code TEXT,
+        referred_by TEXT,
+        doc TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS users_id ON users (id);
+      CREATE INDEX IF NOT EXISTS users_referral_code ON users (referral_code);
+      CREATE INDEX IF NOT EXISTS users_referred_by ON users (referred_by);
+    `);
+
+    this.#statements = {
+      byId: this.#db.prepare('SELECT id, doc FROM users WHERE id = ?'),
+      byReferralCode: this.#db.prepare('SELECT id, doc FROM users WHERE referral_code = ?'),
+      byReferrer: this.#db.prepare('SELECT id, doc FROM users WHERE referred_by = ? ORDER BY position'),
+      all: this.#db.prepare('SELECT id, doc FROM users ORDER BY position'),
+      count: this.#db.prepare('SELECT count(*) FROM users').pluck(),
+      insert: this.#db.prepare(
+        'INSERT INTO users (position, id, referral_code, referred_by, doc) ' +
+        'VALUES ((SELECT coalesce(max(position) + 1, 0) FROM users), ?, ?, ?, ?)'
+      ),
+      update: this.#db.prepare('UPDATE users SET doc = ? WHERE id = ?'),
+      clear: this.#db.prepare('DELETE FROM users')
+    };
+  }
+
+  // Replaces the table with the snapshot's users, if it has any. The snapshot
+  // loses its users array so they aren't also written as an ordinary collection.
+  load(data) {
+    if (!Array.isArray(data.users)) return;
+
+    const users = data.users;
+    delete data.users;
+    this.#db.transaction(() => {
+      this.#statements.clear.run();
+      this.#loaded.clear();
+      this.#written.clear();
+      users.forEach(user => this.#insert(user));
+    })();
+  }
+
+  findById(id) {
+    return this.#row(this.#statements.byId.get(id));
+  }
+
+  findByReferralCode(code) {
+    return this.#row(this.#statements.byReferralCode.get(code));
+  }
+
+  findReferrals(code) {
+    return this.#statements.byReferrer.all(code).map(row => this.#row(row));
+  }
+
+  all() {
+    return this.#statements.all.all().map(row => this.#row(row));
+  }
+
+  count() {
+    return this.#statements.count.get();
+  }
+
+  add(user) {
+    this.#insert(user);
+  }
+
+  async save() {
+    this.#db.transaction(() => {
+      for (const [id, user] of this.#loaded) {
+        const doc = JSON.stringify(user);
+        if (this.#written.get(id) !== doc) {
+          this.#statements.update.run(doc, id);
+          this.#written.set(id, doc);
+        }
+      }
+    })();
+  }
+
+  #insert(user) {
+    const doc = JSON.stringify(user);
+    this.#statements.insert.run(user.id, user.referralCode ?? null, user.referredBy ?? null, doc);
+    this.#loaded.set(user.id, user);
+    this.#written.set(user.id, doc);
+  }
+
+  #row(row) {
+    if (!row) return undefined;
+
+    let user = this.#loaded.get(row.id);
+    if (!user) {
+      user = JSON.parse(row.doc);
+      this.#loaded.set(row.id, user);
+      this.#written.set(row.id, row.doc);
+    }
+    return user;
+  }
+}
+
+// Stores each top-level collection other than users as one JSON document per
+// row. A write only touches the rows whose document changed since the last read
+// or write.
+export class SQLiteAdapter {
+  #db;
+  #statements;
+  #written = new Map(); // key -> serialized value, or serialized items for collections
+
+  constructor(database) {
+    this.#db = database;
+    this.#db.pragma('journal_mode = WAL');
+    this.#db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        doc TEXT
+      );
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        doc TEXT NOT NULL,
+        PRIMARY KEY (collection, position)
+      );
+    `);
+
+    this.#statements = {
+      keys: this.#db.prepare("SELECT key, doc FROM meta WHERE key <> 'users'"),
+      setKey: this.#db.prepare('INSERT INTO meta (key, doc) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET doc = excluded.doc'),
+      deleteKey: this.#db.prepare('DELETE FROM meta WHERE key = ?'),
+      records: this.#db.prepare('SELECT doc FROM records WHERE collection = ? ORDER BY position').pluck(),
+      setRecord: this.#db.prepare(
+        'INSERT INTO records (collection, position, doc) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (collection, position) DO UPDATE SET doc = excluded.doc'
+      ),
+      truncateRecords: this.#db.prepare('DELETE FROM records WHERE collection = ? AND position >= ?')
+    };
+  }
+
+  async read() {
+    const keys = this.#statements.keys.all();
+    if (keys.length === 0) return null;
+
+    const data = {};
+    this.#written.clear();
+    for (const { key, doc } of keys) {
+      if (doc !== null) {
+        data[key] = JSON.parse(doc);
+        this.#written.set(key, doc);
+        continue;
+      }
+
+      const docs = this.#statements.records.all(key);
+      data[key] = docs.map(item => JSON.parse(item));
+      this.#written.set(key, docs);
+    }
+
+    return data;
+  }
+
+  async write(data) {
+    this.#db.transaction(() => {
+      for (const key of [...this.#written.keys()]) {
+        if (!(key in data)) {
+          this.#statements.truncateRecords.run(key, 0);
+          this.#statements.deleteKey.run(key);
+          this.#written.delete(key);
+        }
+      }
+
+      for (const [key, value] of Object.entries(data)) {
+        // Written by SQLiteUserRepository
+        if (key === 'users') continue;
+
+        if (Array.isArray(value)) {
+          this.#writeCollection(key, value);
+          continue;
+        }
+
+        const doc = JSON.stringify(value);
+        if (this.#written.get(key) !== doc) {
+          this.#statements.truncateRecords.run(key, 0);
+          this.#statements.setKey.run(key, doc);
+          this.#written.set(key, doc);
+        }
+      }
+    })();
+  }
+
+  ping() {
+    this.#db.prepare('SELECT count(*) FROM meta').get();
+  }
+
+  close() {
+    this.#db.close();
+  }
+
+  #writeCollection(key, items) {
+    const previous = this.#written.get(key);
+    if (!Array.isArray(previous)) {
+      this.#statements.setKey.run(key, null);
+    }
+
+    const docs = items.map(item => JSON.stringify(item));
+    docs.forEach((doc, position) => {
+      if (previous?.[position] !== doc) {
+        this.#statements.setRecord.run(key, position, doc);
+      }
+    });
+
+    if (Array.isArray(previous) && previous.length > docs.length) {
+      this.#statements.truncateRecords.run(key, docs.length);
+    }
+    this.#written.set(key, docs);
+  }
+}
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { openStore } from '../storage.js';
+
+// Runs the same users repository checks against both drivers, reopening the
+// store to make sure saved changes come back from disk.
+let workDir;
+// better-sqlite3 is an optional dependency and may not have built
+const sqliteMissing = await import('better-sqlite3').then(() => false, () => 'better-sqlite3 is not installed');
+
+before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'referral-bot-storage-'));
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function sampleData() {
+  return {
+    users: [
+      { id: 1, referralCode: 'root01', referredBy: null, balance: 0 },
+      { id: 2, referralCode: 'child2', referredBy: 'root01', balance: 0 },
+      { id: 3, referralCode: 'child3', referredBy: 'root01', balance: 0 }
+    ],
+    withdraws: []
+  };
+}
+
+async function open(driver, file) {
+  const store = await openStore(driver, path.join(workDir, file));
+  const data = await store.adapter.read() || sampleData();
+  store.users.load(data);
+  return { ...store, data };
+}
+
+async function save(store) {
+  await store.users.save();
+  await store.adapter.write(store.data);
+}
+
+for (const [driver, file, skip] of [['json', 'db.json', false], ['sqlite', 'db.sqlite', sqliteMissing]]) {
+  test(`${driver}: finds users by id, referral code and referrer`, { skip }, async () => {
+    const store = await open(driver, file);
+
+    assert.equal(store.users.count(), 3);
+    assert.equal(store.users.findById(2).referralCode, 'child2');
+    assert.equal(store.users.findByReferralCode('child3').id, 3);
+    assert.deepEqual(store.users.findReferrals('root01').map(user => user.id), [2, 3]);
+    assert.deepEqual(store.users.findReferrals('child2'), []);
+    assert.equal(store.users.findById(99), undefined);
+    assert.equal(store.users.findById(2), store.users.findByReferralCode('child2'));
+
+    await save(store);
+    store.adapter.close?.();
+  });
+
+  test(`${driver}: keeps added users and in-place changes after save`, { skip }, async () => {
+    const store = await open(driver, file);
+    store.users.add({ id: 4, referralCode: 'child4', referredBy: 'child2', balance: 0 });
+    store.users.findById(1).balance = 150;
+    await save(store);
+    store.adapter.close?.();
+
+    const reopened = await open(driver, file);
+    assert.equal(reopened.users.count(), 4);
+    assert.equal(reopened.users.findById(1).balance, 150);
+    assert.deepEqual(reopened.users.findReferrals('child2').map(user => user.id), [4]);
+    assert.deepEqual(reopened.users.all().map(user => user.id), [1, 2, 3, 4]);
+    assert.equal(reopened.data.users === undefined, driver === 'sqlite');
+    reopened.adapter.close?.();
+  });
+}
@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+// Starts the bot in webhook mode against a stub Bot API and drives it by
+// POSTing recorded updates, the way Telegram would.
+const ROOT = path.resolve(import.meta.dirname, '..');
+const BOT_TOKEN = '123456:TEST';
+const SECRET = 'test-secret';
+const update = fs.readFileSync(path.join(import.meta.dirname, 'fixtures', 'myid-update.json'), 'utf8');
+
+const telegram = { calls: [] };
+let stub;
+let bot;
+let baseUrl;
+let workDir;
+
+function startStubApi() {
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const method = req.url.split('/').pop();
+    const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : {};
+    telegram.calls.push({ method, body });
+    res.writeHead(200, { 'content-type': 'application/json' });
+    const results = {
+      getMe: { id: 123456, is_bot: true, first_name: 'Test Bot', username: 'test_bot' },
+      sendMessage: { message_id: telegram.calls.length, date: 0, chat: { id: body.chat_id, type: 'private' }, text: body.text }
+    };
+    res.end(JSON.stringify({ ok: true, result: results[method] ?? true }));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function freePort() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+function postUpdate(headers = {}) {
+  return fetch(`${baseUrl}/webhook`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: update
+  });
+}
+
+async function waitFor(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for the bot');
+}
+
+before(async () => {
+  stub = await startStubApi();
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  // Its own working directory keeps the database, backups and any .env out of the repo
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'referral-bot-'));
+  bot = spawn(process.execPath, [path.join(ROOT, 'main.js')], {
+    cwd: workDir,
+    env: {
+      PATH: process.env.PATH,
+      BOT_TOKEN,
+      BOT_MODE: 'webhook',
+      WEBHOOK_SECRET: SECRET,
+      HTTP_PORT: String(port),
+      HTTP_HOST: '127.0.0.1',
+      TELEGRAM_API_ROOT: `http://127.0.0.1:${stub.address().port}`,
+      DB_FILE: path.join(workDir, 'db.json'),
+      ADMIN_ID: '1'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  bot.stdout.on('data', chunk => { output += chunk; });
+  bot.stderr.on('data', chunk => { output += chunk; });
+  await waitFor(() => output.includes('Bot is running'), 15000);
+});
+
+after(async () => {
+  if (bot.exitCode === null) {
+    bot.kill('SIGTERM');
+    await once(bot, 'exit');
+  }
+  stub.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('rejects updates without the secret token header', async () => {
+  const response = await postUpdate();
+  assert.equal(response.status, 403);
+
+  const wrong = await postUpdate({ 'x-telegram-bot-api-secret-token': 'wrong' });
+  assert.equal(wrong.status, 403);
+  assert.equal(telegram.calls.filter(call => call.method !== 'getMe').length, 0);
+});
+
+test('handles updates that carry the secret token', async () => {
+  const response = await postUpdate({ 'x-telegram-bot-api-secret-token': SECRET });
+  assert.equal(response.status, 200);
+
+  const reply = await waitFor(() => telegram.calls.find(call => call.method === 'sendMessage'));
+  assert.equal(reply.body.chat_id, 4242);
+  assert.match(reply.body.text, /4242/);
+});
+
+test('fetches the bot info once, at startup', () => {
+  assert.equal(telegram.calls[0].method, 'getMe');
+  assert.equal(telegram.calls.filter(call => call.method === 'getMe').length, 1);
+});
+
+test('serves the health check next to the webhook', async () => {
+  const response = await fetch(`${baseUrl}/healthz`);
+  assert.equal(response.status, 200);
+});